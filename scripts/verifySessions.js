@@ -0,0 +1,46 @@
+// Replays every recorded session in fixtures/sessions/ through a camera-less
+// HandTracker and fails if the fist, rotation, filter, gesture or swipe
+// results differ from the ones stored with it (see verifySession).
+//   npm run verify:sessions            check
+//   npm run verify:sessions -- --update  re-store the results after an
+//                                        intended tracker change
+// fist-roll-swipe.json is synthetic: an open hand closing into a fist,
+// rolling and tilting, opening, swiping right and leaving the frame. Drop
+// real recordings (Session panel > Record) in next to it.
+
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { replaySession, serializeState, verifySession } from '../src/sessionRecorder.js';
+
+const DIR = new URL('../fixtures/sessions/', import.meta.url).pathname;
+const MAX_LISTED = 10; // Differences printed per session
+
+const update = process.argv.includes('--update');
+const files = readdirSync(DIR).filter(file => file.endsWith('.json')).sort();
+let failed = 0;
+
+files.forEach(file => {
+  const path = join(DIR, file);
+  const session = JSON.parse(readFileSync(path, 'utf8'));
+
+  if (update) {
+    replaySession(session).forEach((state, i) => { session.frames[i].state = serializeState(state); });
+    writeFileSync(path, JSON.stringify(session));
+    console.log(`updated ${file}`);
+    return;
+  }
+
+  const differences = verifySession(session);
+  if (differences.length === 0) {
+    console.log(`ok      ${file} (${session.frames.length} frames)`);
+    return;
+  }
+  failed++;
+  console.log(`FAILED  ${file}: ${differences.length} differences`);
+  differences.slice(0, MAX_LISTED).forEach(({ frame, field, expected, actual }) => {
+    console.log(`  frame ${frame} ${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  });
+});
+
+if (files.length === 0) console.log(`No sessions in ${DIR}`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,589 @@
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+import { GpuSimulation } from './gpuSimulation.js';
+import { AmbientSimulation } from './ambientSimulation.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('ambient');
+
+// Ambient effects: layers of instanced sprites around the scene (snow,
+// petals, confetti...). Each preset has its own canvas-drawn texture, motion
+// model, count and wind; any number of presets can be on at once. Shapes can
+// declare a default preset (see `ambient` in shapes.js).
+//
+// Where float render targets are available, each layer's sprites are stepped
+// on the GPU (ambientSimulation.js): the hand's motion blows them around and
+// falling sprites settle on an open palm held still. Otherwise the motion is
+// computed from time alone in the vertex shader.
+
+const TEXTURE_SIZE = 128;
+
+// --- Textures (drawn white where the preset tints per particle) ---
+
+function drawSnowflake(ctx) {
+  ctx.strokeStyle = 'white';
+  ctx.lineWidth = 4;
+  ctx.lineCap = 'round';
+  ctx.shadowBlur = 5;
+  ctx.shadowColor = 'white';
+
+  const cx = 64;
+  const cy = 64;
+  const radius = 45;
+
+  // Draw 6 branches
+  for (let i = 0; i < 6; i++) {
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate((i * 60 * Math.PI) / 180);
+
+    // Main branch
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(0, -radius);
+    ctx.stroke();
+
+    // Sub-branches (V shapes)
+    const branchSize = 12;
+    // Inner V
+    ctx.beginPath();
+    ctx.moveTo(0, -radius * 0.4);
+    ctx.lineTo(-branchSize, -radius * 0.6);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(0, -radius * 0.4);
+    ctx.lineTo(branchSize, -radius * 0.6);
+    ctx.stroke();
+
+    // Outer V
+    ctx.beginPath();
+    ctx.moveTo(0, -radius * 0.7);
+    ctx.lineTo(-branchSize * 0.8, -radius * 0.9);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(0, -radius * 0.7);
+    ctx.lineTo(branchSize * 0.8, -radius * 0.9);
+    ctx.stroke();
+
+    ctx.restore();
+  }
+}
+
+function drawPetal(ctx) {
+  // Teardrop with a darker base
+  const gradient = ctx.createLinearGradient(64, 10, 64, 118);
+  gradient.addColorStop(0, 'rgba(255,255,255,1)');
+  gradient.addColorStop(1, 'rgba(200,200,200,0.9)');
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  ctx.moveTo(64, 118);
+  ctx.bezierCurveTo(10, 90, 20, 20, 64, 10);
+  ctx.bezierCurveTo(108, 20, 118, 90, 64, 118);
+  ctx.fill();
+}
+
+function drawConfetti(ctx) {
+  ctx.fillStyle = 'white';
+  ctx.fillRect(34, 14, 60, 100);
+}
+
+function drawHeart(ctx) {
+  ctx.fillStyle = 'white';
+  ctx.shadowBlur = 8;
+  ctx.shadowColor = 'white';
+  ctx.beginPath();
+  ctx.moveTo(64, 112);
+  ctx.bezierCurveTo(10, 76, 8, 24, 40, 20);
+  ctx.bezierCurveTo(54, 18, 62, 28, 64, 38);
+  ctx.bezierCurveTo(66, 28, 74, 18, 88, 20);
+  ctx.bezierCurveTo(120, 24, 118, 76, 64, 112);
+  ctx.fill();
+}
+
+function drawGlow(ctx) {
+  const gradient = ctx.createRadialGradient(64, 64, 0, 64, 64, 64);
+  gradient.addColorStop(0, 'rgba(255,255,255,1)');
+  gradient.addColorStop(0.15, 'rgba(255,255,255,0.8)');
+  gradient.addColorStop(1, 'rgba(255,255,255,0)');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, TEXTURE_SIZE, TEXTURE_SIZE);
+}
+
+function drawLantern(ctx) {
+  // Soft halo
+  drawGlow(ctx);
+  // Paper body, bright at the bottom where the flame is
+  const body = ctx.createLinearGradient(64, 30, 64, 100);
+  body.addColorStop(0, 'rgba(255,255,255,0.6)');
+  body.addColorStop(1, 'rgba(255,255,255,1)');
+  ctx.fillStyle = body;
+  ctx.beginPath();
+  ctx.moveTo(46, 30);
+  ctx.lineTo(82, 30);
+  ctx.quadraticCurveTo(92, 64, 80, 100);
+  ctx.lineTo(48, 100);
+  ctx.quadraticCurveTo(36, 64, 46, 30);
+  ctx.fill();
+}
+
+// --- Presets ---
+//   label      - UI text
+//   count      - sprites at full quality
+//   draw(ctx)  - paints the 128x128 texture
+//   motion     - 'fall', 'rise' or 'drift' (wander in place)
+//   speed      - [min, max] units per second
+//   size       - sprite size; sizeVariance adds up to that fraction
+//   sway       - side-to-side amplitude
+//   wind       - gust amplitude (slow left-right drift)
+//   spin       - tumbling speed (0 = always face the camera)
+//   colors     - per-sprite tints, picked at random
+//   twinkle    - 0..1 brightness flicker
+//   additive   - glowing (additive) or solid (normal) blending
+//   brightness - color multiplier
+const presets = new Map();
+
+export function registerAmbientPreset(name, preset) {
+  const def = {
+    label: name.charAt(0).toUpperCase() + name.slice(1),
+    count: 1000,
+    motion: 'fall',
+    speed: [1, 3],
+    size: 0.3,
+    sizeVariance: 0,
+    sway: 0.5,
+    wind: 1,
+    spin: 1,
+    colors: ['#ffffff'],
+    twinkle: 0,
+    additive: true,
+    brightness: 1,
+    ...preset,
+    name
+  };
+  presets.set(name, def);
+  return def;
+}
+
+export function getAmbientPreset(name) {
+  return presets.get(name) || null;
+}
+
+export function getAmbientPresetNames() {
+  return Array.from(presets.keys());
+}
+
+// Used by shapes that don't declare their own
+export const DEFAULT_AMBIENT = ['snow'];
+
+registerAmbientPreset('snow', {
+  count: 10000,
+  draw: drawSnowflake,
+  speed: [1, 4],
+  wind: 1.5,
+  brightness: 1.5
+});
+
+registerAmbientPreset('petals', {
+  label: 'Rose petals',
+  count: 1500,
+  draw: drawPetal,
+  speed: [0.8, 2],
+  size: 0.7,
+  sizeVariance: 0.4,
+  sway: 1.5,
+  wind: 2.5,
+  spin: 1.5,
+  colors: ['#ff4d6d', '#c9184a', '#ff8fa3'],
+  additive: false
+});
+
+registerAmbientPreset('confetti', {
+  count: 3000,
+  draw: drawConfetti,
+  speed: [2, 4.5],
+  size: 0.45,
+  sway: 0.8,
+  spin: 4,
+  colors: ['#ff3366', '#ffd700', '#33ccff', '#66ff99', '#ff66ff', '#ff9933'],
+  additive: false
+});
+
+registerAmbientPreset('hearts', {
+  count: 800,
+  draw: drawHeart,
+  motion: 'rise',
+  speed: [1, 2.5],
+  size: 0.8,
+  sizeVariance: 0.6,
+  sway: 1,
+  wind: 0.5,
+  spin: 0.3,
+  colors: ['#ff3366', '#ff66a3', '#ffb3c6']
+});
+
+registerAmbientPreset('fireflies', {
+  count: 600,
+  draw: drawGlow,
+  motion: 'drift',
+  speed: [0.5, 1.5],
+  size: 0.6,
+  sizeVariance: 0.5,
+  sway: 2,
+  wind: 0.3,
+  spin: 0,
+  colors: ['#d4ff6a', '#ffe66d'],
+  twinkle: 1,
+  brightness: 1.5
+});
+
+registerAmbientPreset('lanterns', {
+  label: 'Sky lanterns',
+  count: 250,
+  draw: drawLantern,
+  motion: 'rise',
+  speed: [0.6, 1.4],
+  size: 1.6,
+  sizeVariance: 0.3,
+  sway: 0.6,
+  wind: 0.8,
+  spin: 0,
+  colors: ['#ffb347', '#ff9f1c', '#ffd27f']
+});
+
+const MOTIONS = { fall: 0, rise: 1, drift: 2 };
+
+// Space the sprites live in (the visible volume around the shape)
+const AREA = { width: 60, depth: 60, bottom: -20, height: 50 };
+
+const FADE_SPEED = 1.0; // Opacity per second when toggling a layer
+
+function createTexture(draw) {
+  const canvas = document.createElement('canvas');
+  canvas.width = TEXTURE_SIZE;
+  canvas.height = TEXTURE_SIZE;
+  draw(canvas.getContext('2d'));
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.needsUpdate = true;
+  return texture;
+}
+
+// One preset's sprites
+class AmbientLayer {
+  // renderer: pass one to simulate on the GPU (hand interaction)
+  constructor(preset, random, renderer = null) {
+    this.preset = preset;
+    this.count = preset.count;
+    this.opacity = 0; // Fades toward target
+    this.target = 0;
+
+    const geometry = new THREE.PlaneGeometry(preset.size, preset.size);
+    this.geometry = new THREE.InstancedBufferGeometry();
+    this.geometry.index = geometry.index;
+    this.geometry.attributes.position = geometry.attributes.position;
+    this.geometry.attributes.uv = geometry.attributes.uv;
+
+    const count = preset.count;
+    const offsets = new Float32Array(count * 3);
+    const speeds = new Float32Array(count);
+    const randoms = new Float32Array(count * 2); // Sway params
+    const rotSpeeds = new Float32Array(count * 3); // Rotation axis/speed
+    const colors = new Float32Array(count * 3);
+    const scales = new Float32Array(count);
+    const ids = new Float32Array(count);
+    const palette = preset.colors.map(c => new THREE.Color(c));
+    const [minSpeed, maxSpeed] = preset.speed;
+
+    for (let i = 0; i < count; i++) {
+      offsets[i * 3] = (random() - 0.5) * AREA.width;
+      offsets[i * 3 + 1] = AREA.bottom + random() * AREA.height;
+      offsets[i * 3 + 2] = (random() - 0.5) * AREA.depth;
+
+      speeds[i] = minSpeed + random() * (maxSpeed - minSpeed);
+      randoms[i * 2] = random();
+      randoms[i * 2 + 1] = random();
+
+      rotSpeeds[i * 3] = (random() - 0.5) * 2.0 * preset.spin;
+      rotSpeeds[i * 3 + 1] = (random() - 0.5) * 2.0 * preset.spin;
+      rotSpeeds[i * 3 + 2] = (random() - 0.5) * 2.0 * preset.spin;
+
+      const color = palette[Math.floor(random() * palette.length)];
+      colors[i * 3] = color.r;
+      colors[i * 3 + 1] = color.g;
+      colors[i * 3 + 2] = color.b;
+      scales[i] = 1.0 + random() * preset.sizeVariance;
+      ids[i] = i;
+    }
+
+    this.geometry.setAttribute('aOffset', new THREE.InstancedBufferAttribute(offsets, 3));
+    this.geometry.setAttribute('aSpeed', new THREE.InstancedBufferAttribute(speeds, 1));
+    this.geometry.setAttribute('aRandom', new THREE.InstancedBufferAttribute(randoms, 2));
+    this.geometry.setAttribute('aRotSpeed', new THREE.InstancedBufferAttribute(rotSpeeds, 3));
+    this.geometry.setAttribute('aColor', new THREE.InstancedBufferAttribute(colors, 3));
+    this.geometry.setAttribute('aScale', new THREE.InstancedBufferAttribute(scales, 1));
+    this.geometry.setAttribute('aID', new THREE.InstancedBufferAttribute(ids, 1));
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        uTime: { value: 0 },
+        uTexture: { value: createTexture(preset.draw) },
+        uMotion: { value: MOTIONS[preset.motion] ?? 0 },
+        uArea: { value: new THREE.Vector2(AREA.bottom, AREA.height) },
+        uSway: { value: preset.sway },
+        uWind: { value: preset.wind },
+        uTwinkle: { value: preset.twinkle },
+        uBrightness: { value: preset.brightness },
+        uOpacity: { value: 0 },
+        uSimulated: { value: 0.0 }, // 1 = positions come from uSimPositions
+        uSimPositions: { value: null },
+        uSimSize: { value: 1.0 }
+      },
+      vertexShader: `
+         uniform float uTime;
+         uniform float uMotion; // 0 = fall, 1 = rise, 2 = drift
+         uniform vec2 uArea; // Bottom, height
+         uniform float uSway;
+         uniform float uWind;
+         uniform float uSimulated;
+         uniform sampler2D uSimPositions;
+         uniform float uSimSize;
+         attribute vec3 aOffset;
+         attribute float aSpeed;
+         attribute vec2 aRandom;
+         attribute vec3 aRotSpeed;
+         attribute vec3 aColor;
+         attribute float aScale;
+         attribute float aID;
+         varying vec2 vUv;
+         varying vec3 vColor;
+         varying float vPhase;
+
+         // Rotation Matrix
+         mat4 rotationMatrix(vec3 axis, float angle) {
+            axis = normalize(axis);
+            float s = sin(angle);
+            float c = cos(angle);
+            float oc = 1.0 - c;
+
+            return mat4(
+                oc * axis.x * axis.x + c,           oc * axis.x * axis.y - axis.z * s,  oc * axis.z * axis.x + axis.y * s,  0.0,
+                oc * axis.x * axis.y + axis.z * s,  oc * axis.y * axis.y + c,           oc * axis.y * axis.z - axis.x * s,  0.0,
+                oc * axis.z * axis.x - axis.y * s,  oc * axis.y * axis.z + axis.x * s,  oc * axis.z * axis.z + c,           0.0,
+                0.0,                                0.0,                                0.0,                                1.0
+            );
+        }
+
+         void main() {
+             vUv = uv;
+             vColor = aColor;
+             vPhase = aRandom.x * 20.0;
+             vec3 pos = aOffset;
+             float sway = uSway;
+
+             if (uSimulated > 0.5) {
+                 float row = floor((aID + 0.5) / uSimSize);
+                 vec2 simUv = (vec2(aID - row * uSimSize, row) + 0.5) / uSimSize;
+                 vec4 sim = texture2D(uSimPositions, simUv);
+                 pos = sim.xyz;
+                 sway *= 1.0 - sim.w; // Still while resting on the palm
+             } else if (uMotion < 1.5) {
+                 // Fall or rise, wrapping around the area
+                 float dir = uMotion < 0.5 ? -1.0 : 1.0;
+                 float y = pos.y - uArea.x + dir * uTime * aSpeed;
+                 pos.y = mod(y + 10000.0, uArea.y) + uArea.x;
+             } else {
+                 // Drift: slow wander around the spawn point
+                 float t = uTime * aSpeed * 0.3;
+                 pos += vec3(
+                     sin(t + aRandom.x * 6.28),
+                     sin(t * 0.7 + aRandom.y * 6.28),
+                     cos(t * 0.9 + aRandom.x * 3.14)
+                 ) * 3.0;
+             }
+
+             // Sway
+             pos.x += sin(uTime * 1.5 + aRandom.x * 10.0) * sway;
+             pos.z += cos(uTime * 1.2 + aRandom.y * 10.0) * sway;
+
+             // Wind (the simulation blows its own gusts)
+             if (uSimulated < 0.5) pos.x += sin(uTime * 0.5) * uWind;
+
+             // Tumbling Rotation
+             // Rotate the vertex itself before adding to position
+             float angle = uTime * length(aRotSpeed);
+             vec3 axis = aRotSpeed;
+             if (length(axis) < 0.01) axis = vec3(1.0, 0.0, 0.0);
+
+             mat4 rot = rotationMatrix(axis, angle);
+             vec4 rotatedVertex = rot * vec4(position * aScale, 1.0);
+
+             vec4 mvPosition = modelViewMatrix * vec4(pos + rotatedVertex.xyz, 1.0);
+
+             gl_Position = projectionMatrix * mvPosition;
+         }
+      `,
+      fragmentShader: `
+         uniform sampler2D uTexture;
+         uniform float uTime;
+         uniform float uTwinkle;
+         uniform float uBrightness;
+         uniform float uOpacity;
+         varying vec2 vUv;
+         varying vec3 vColor;
+         varying float vPhase;
+         void main() {
+             vec4 color = texture2D(uTexture, vUv);
+             color.rgb *= vColor * uBrightness;
+             color.rgb *= 1.0 - uTwinkle * (0.5 + 0.5 * sin(uTime * 3.0 + vPhase));
+             if (color.a < 0.1) discard;
+             color.a *= uOpacity; // Fade in/out when toggled
+             gl_FragColor = color;
+         }
+      `,
+      depthWrite: false,
+      blending: preset.additive ? THREE.AdditiveBlending : THREE.NormalBlending,
+      transparent: true,
+      side: THREE.DoubleSide,
+      dithering: true
+    });
+
+    this.mesh = new THREE.InstancedMesh(this.geometry, this.material, count);
+    // Ensure it renders last or with particles
+    this.mesh.renderOrder = 1;
+    // Prevent frustum culling since vertices are moved in shader
+    this.mesh.frustumCulled = false;
+    this.mesh.visible = false;
+
+    this.simulation = null;
+    if (renderer) {
+      const seeds = new Float32Array(count * 3);
+      for (let i = 0; i < count; i++) {
+        seeds[i * 3] = speeds[i];
+        seeds[i * 3 + 1] = randoms[i * 2];
+        seeds[i * 3 + 2] = randoms[i * 2 + 1];
+      }
+      try {
+        this.simulation = new AmbientSimulation(renderer, count, {
+          offsets,
+          seeds,
+          area: {
+            min: new THREE.Vector3(-AREA.width / 2, AREA.bottom, -AREA.depth / 2),
+            size: new THREE.Vector3(AREA.width, AREA.height, AREA.depth)
+          },
+          uniforms: this.material.uniforms
+        });
+        this.material.uniforms.uSimulated.value = 1.0;
+        this.material.uniforms.uSimSize.value = this.simulation.size;
+      } catch (err) {
+        log.warn(`Ambient "${preset.name}" falls back to shader motion:`, err);
+      }
+    }
+  }
+
+  setDensity(ratio) {
+    this.mesh.count = Math.max(1, Math.round(this.count * ratio));
+  }
+
+  // hand: see AmbientSystem.update
+  update(dt, hand) {
+    this.material.uniforms.uTime.value += dt;
+    if (this.opacity !== this.target) {
+      const step = FADE_SPEED * dt;
+      this.opacity = this.target > this.opacity
+        ? Math.min(this.target, this.opacity + step)
+        : Math.max(this.target, this.opacity - step);
+    }
+    this.material.uniforms.uOpacity.value = this.opacity;
+    this.mesh.visible = this.opacity > 0;
+
+    if (this.simulation && this.mesh.visible) {
+      this.simulation.update(dt, hand);
+      this.material.uniforms.uSimPositions.value = this.simulation.positionTexture;
+    }
+  }
+
+  dispose() {
+    if (this.simulation) this.simulation.dispose();
+    this.geometry.dispose();
+    this.material.uniforms.uTexture.value.dispose();
+    this.material.dispose();
+  }
+}
+
+export class AmbientSystem {
+  // renderer: enables the GPU simulation (hand wind, catching) where supported
+  constructor(scene, { seed = '', renderer = null } = {}) {
+    this.seed = seed;
+    this.renderer = renderer && GpuSimulation.isSupported(renderer) ? renderer : null;
+    this.group = new THREE.Group();
+    scene.add(this.group);
+    this.layers = new Map(); // Built on first use
+    this.active = new Set(); // Preset names currently shown
+    this.auto = true; // Follow the shape's default preset
+    this.density = 1; // Quality ratio of each preset's count
+    this.onChange = null; // (active names, auto) => {}
+  }
+
+  getLayer(name) {
+    if (this.layers.has(name)) return this.layers.get(name);
+    const preset = getAmbientPreset(name);
+    if (!preset) return null;
+
+    const layer = new AmbientLayer(preset, createRandom(`${this.seed}:ambient:${name}`), this.renderer);
+    layer.setDensity(this.density);
+    this.layers.set(name, layer);
+    this.group.add(layer.mesh);
+    log.info(`Ambient layer "${name}" created:`, preset.count);
+    return layer;
+  }
+
+  // User choice: exactly these presets (names; [] for none), or 'auto' to
+  // follow the current shape
+  select(names, shapeDef = null) {
+    if (names === 'auto') {
+      this.auto = true;
+      this.show(shapeDef && shapeDef.ambient !== undefined ? shapeDef.ambient : DEFAULT_AMBIENT);
+    } else {
+      this.auto = false;
+      this.show(names);
+    }
+  }
+
+  // Turn one preset on/off on top of what's showing (leaves auto mode)
+  toggle(name, on = !this.active.has(name)) {
+    const names = new Set(this.active);
+    if (on) names.add(name);
+    else names.delete(name);
+    this.select(Array.from(names));
+  }
+
+  // A new shape was selected
+  applyShapeDefault(shapeDef) {
+    if (this.auto) this.select('auto', shapeDef);
+  }
+
+  show(names) {
+    const wanted = new Set([].concat(names).filter(name => {
+      if (getAmbientPreset(name)) return true;
+      log.warn(`Unknown ambient preset "${name}"`);
+      return false;
+    }));
+    wanted.forEach(name => { this.getLayer(name).target = 1; });
+    this.layers.forEach((layer, name) => {
+      if (!wanted.has(name)) layer.target = 0;
+    });
+    this.active = wanted;
+    if (this.onChange) this.onChange(Array.from(this.active), this.auto);
+  }
+
+  setDensity(ratio) {
+    this.density = ratio;
+    this.layers.forEach(layer => layer.setDensity(ratio));
+  }
+
+  // hand: { position, move, velocity (THREE.Vector3, scene units; move is
+  // this frame's displacement), active, palm (open and held still) }, or
+  // null without a hand
+  update(dt, hand = null) {
+    this.layers.forEach(layer => layer.update(dt, hand));
+  }
+}
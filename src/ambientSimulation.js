@@ -0,0 +1,219 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer.js';
+
+// GPU state for one ambient layer (see ambient.js): position and velocity
+// per sprite in float render targets, stepped every frame like
+// GpuSimulation. That lets the hand push sprites around and lets snow pile
+// up on an open palm without touching the sprites on the CPU.
+//
+// texturePosition: xyz, w = 1 while resting on the palm
+// textureVelocity: xyz
+
+const MAX_DELTA = 1 / 30;
+
+export const AMBIENT_INTERACTION_DEFAULTS = {
+  windStrength: 3.0, // How much of the hand's velocity a sprite picks up per second
+  windRadius: 12.0, // Falloff distance of the hand's wind
+  drag: 1.5, // How fast pushed sprites return to their own motion (per second)
+  palmRadius: 5.0, // Catch area of the open palm
+  pileHeight: 0.8 // How high caught sprites stack up
+};
+
+const COMMON_GLSL = `
+        uniform float uTime;
+        uniform float uDelta;
+        uniform float uMotion; // 0 = fall, 1 = rise, 2 = drift
+        uniform float uWind;
+        uniform vec3 uAreaMin;
+        uniform vec3 uAreaSize;
+        uniform vec3 uHandPos;
+        uniform vec3 uHandMove; // Hand displacement this frame
+        uniform vec3 uHandVel;
+        uniform float uHandActive;
+        uniform float uPalm; // 1 = open palm held still: sprites land on it
+        uniform sampler2D uSeeds; // speed, random x, random y
+`;
+
+const VELOCITY_GLSL = `
+        uniform float uWindStrength;
+        uniform float uWindRadius;
+        uniform float uDrag;
+${COMMON_GLSL}
+        // The preset's own motion (what the analytic shader animates)
+        vec3 baseVelocity(vec3 seed) {
+            float speed = seed.x;
+            vec3 vel;
+            if (uMotion < 0.5) {
+                vel = vec3(0.0, -speed, 0.0);
+            } else if (uMotion < 1.5) {
+                vel = vec3(0.0, speed, 0.0);
+            } else {
+                float t = uTime * speed * 0.3;
+                vel = vec3(
+                    cos(t + seed.y * 6.28),
+                    0.7 * cos(t * 0.7 + seed.z * 6.28),
+                    -0.9 * sin(t * 0.9 + seed.y * 3.14)
+                ) * speed * 0.9;
+            }
+            // Gusts
+            vel.x += cos(uTime * 0.5) * 0.5 * uWind;
+            return vel;
+        }
+
+        void main() {
+            vec2 uv = gl_FragCoord.xy / resolution.xy;
+            vec4 posData = texture2D(texturePosition, uv);
+            vec3 vel = texture2D(textureVelocity, uv).xyz;
+            vec3 seed = texture2D(uSeeds, uv).xyz;
+
+            if (posData.w > 0.5) {
+                // Riding the palm: carry its motion, so letting go flings
+                gl_FragColor = vec4(uHandVel, 1.0);
+                return;
+            }
+
+            vel = mix(baseVelocity(seed), vel, exp(-uDrag * uDelta));
+
+            // Hand wind: the hand's velocity, fading with distance
+            vec3 d = (posData.xyz - uHandPos) * vec3(1.0, 1.0, 0.5);
+            float falloff = exp(-dot(d, d) / (uWindRadius * uWindRadius));
+            vel += uHandVel * falloff * uWindStrength * uHandActive * uDelta;
+
+            // Keep flicks from launching sprites out of the scene
+            float speed = length(vel);
+            if (speed > 40.0) vel *= 40.0 / speed;
+            gl_FragColor = vec4(vel, 1.0);
+        }
+`;
+
+const POSITION_GLSL = `
+        uniform float uPalmRadius;
+        uniform float uPileHeight;
+${COMMON_GLSL}
+        void main() {
+            vec2 uv = gl_FragCoord.xy / resolution.xy;
+            vec4 posData = texture2D(texturePosition, uv);
+            vec3 vel = texture2D(textureVelocity, uv).xyz;
+            vec3 seed = texture2D(uSeeds, uv).xyz;
+            vec3 pos = posData.xyz;
+            float landed = posData.w;
+
+            if (landed > 0.5 && uPalm > 0.5) {
+                pos += uHandMove;
+                gl_FragColor = vec4(pos, 1.0);
+                return;
+            }
+            landed = 0.0; // Palm closed, moved or gone: the pile falls off
+
+            vec3 next = pos + vel * uDelta;
+
+            // Falling sprites crossing the palm from above get caught. The palm
+            // faces the camera, so depth is loose.
+            vec2 off = (next.xz - uHandPos.xz) * vec2(1.0, 0.33);
+            if (uPalm > 0.5 && uMotion < 0.5 && pos.y >= uHandPos.y && next.y < uHandPos.y &&
+                length(off) < uPalmRadius) {
+                next.y = uHandPos.y + seed.z * uPileHeight;
+                landed = 1.0;
+            } else {
+                // Wrap around the area (wind can push sprites out sideways)
+                next = uAreaMin + mod(next - uAreaMin, uAreaSize);
+            }
+
+            gl_FragColor = vec4(next, landed);
+        }
+`;
+
+export class AmbientSimulation {
+  // offsets: start positions, seeds: speed + 2 randoms per sprite (both 3
+  // floats each). area: { min, size } (THREE.Vector3). uniforms: the layer's
+  // material uniforms (uTime, uMotion, uWind are shared).
+  constructor(renderer, count, { offsets, seeds, area, uniforms }) {
+    this.count = count;
+    this.size = Math.ceil(Math.sqrt(count));
+
+    this.gpu = new GPUComputationRenderer(this.size, this.size, renderer);
+    const position = this.gpu.createTexture();
+    const velocity = this.gpu.createTexture();
+    this.seeds = this.gpu.createTexture();
+    this.writeTexture(position, offsets);
+    this.writeTexture(this.seeds, seeds);
+
+    this.positionVar = this.gpu.addVariable('texturePosition', POSITION_GLSL, position);
+    this.velocityVar = this.gpu.addVariable('textureVelocity', VELOCITY_GLSL, velocity);
+    this.gpu.setVariableDependencies(this.velocityVar, [this.positionVar, this.velocityVar]);
+    this.gpu.setVariableDependencies(this.positionVar, [this.positionVar, this.velocityVar]);
+
+    // One set of hand uniforms, shared by both passes
+    this.hand = {
+      uDelta: { value: 0 },
+      uHandPos: { value: new THREE.Vector3() },
+      uHandMove: { value: new THREE.Vector3() },
+      uHandVel: { value: new THREE.Vector3() },
+      uHandActive: { value: 0.0 },
+      uPalm: { value: 0.0 }
+    };
+    const common = {
+      ...this.hand,
+      uTime: uniforms.uTime,
+      uMotion: uniforms.uMotion,
+      uWind: uniforms.uWind,
+      uAreaMin: { value: area.min.clone() },
+      uAreaSize: { value: area.size.clone() },
+      uSeeds: { value: this.seeds }
+    };
+    const d = AMBIENT_INTERACTION_DEFAULTS;
+    Object.assign(this.velocityVar.material.uniforms, common, {
+      uWindStrength: { value: d.windStrength },
+      uWindRadius: { value: d.windRadius },
+      uDrag: { value: d.drag }
+    });
+    Object.assign(this.positionVar.material.uniforms, common, {
+      uPalmRadius: { value: d.palmRadius },
+      uPileHeight: { value: d.pileHeight }
+    });
+
+    const error = this.gpu.init();
+    if (error) {
+      this.gpu.dispose();
+      this.seeds.dispose();
+      throw new Error(error);
+    }
+  }
+
+  writeTexture(texture, source) {
+    const data = texture.image.data;
+    for (let i = 0; i < this.count; i++) {
+      data[i * 4] = source[i * 3];
+      data[i * 4 + 1] = source[i * 3 + 1];
+      data[i * 4 + 2] = source[i * 3 + 2];
+    }
+    texture.needsUpdate = true;
+  }
+
+  // hand: { position, move, velocity (THREE.Vector3, scene units),
+  // active, palm } or null
+  update(dt, hand) {
+    const u = this.hand;
+    u.uDelta.value = Math.min(dt, MAX_DELTA);
+    if (hand) {
+      u.uHandPos.value.copy(hand.position);
+      u.uHandMove.value.copy(hand.move);
+      u.uHandVel.value.copy(hand.velocity);
+    } else {
+      u.uHandMove.value.set(0, 0, 0);
+      u.uHandVel.value.set(0, 0, 0);
+    }
+    u.uHandActive.value = hand && hand.active ? 1.0 : 0.0;
+    u.uPalm.value = hand && hand.palm ? 1.0 : 0.0;
+    this.gpu.compute();
+  }
+
+  get positionTexture() {
+    return this.gpu.getCurrentRenderTarget(this.positionVar).texture;
+  }
+
+  dispose() {
+    this.gpu.dispose();
+    this.seeds.dispose();
+  }
+}
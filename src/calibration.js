@@ -0,0 +1,169 @@
+// Guided per-user calibration: open palm, fist, hand close, hand far. The
+// measured ranges replace the one-size-fits-all thresholds (HandTracker's
+// closeRatio/openRatio, ParticleSystem's hand scale range), which fail for
+// small hands, kids and people far from the camera. Profiles are kept per
+// device in localStorage.
+
+import { HAND_TRACKING_DEFAULTS } from './handTracking.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('calibration');
+
+const STORAGE_KEY = 'handCalibration';
+const PROFILE_VERSION = 1;
+
+const SETTLE_TIME = 1.0; // Seconds to get into the pose before measuring
+const SAMPLE_TIME = 1.5; // Seconds of measuring per step
+
+// Where between fist (0) and open palm (1) the open/closed thresholds sit
+const CLOSE_AT = 0.35;
+const OPEN_AT = 0.6;
+const MIN_OPENNESS_GAP = 0.15; // Open palm vs fist, or the two can't be told apart
+const MIN_SCALE_RATIO = 1.3; // Close vs far hand size
+
+export const CALIBRATION_STEPS = [
+  { id: 'open', prompt: 'Show an open palm', measure: 'openness' },
+  { id: 'fist', prompt: 'Make a fist', measure: 'openness' },
+  { id: 'near', prompt: 'Bring your open hand close to the camera', measure: 'scale' },
+  { id: 'far', prompt: 'Now move it as far away as you will play', measure: 'scale' }
+];
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+export function loadCalibration() {
+  try {
+    const profile = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return profile && profile.version === PROFILE_VERSION ? profile : null;
+  } catch (err) {
+    log.warn('Ignoring stored hand calibration:', err);
+    return null;
+  }
+}
+
+export function saveCalibration(profile) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+  } catch (err) {
+    log.warn('Could not store hand calibration:', err);
+  }
+}
+
+export function clearCalibration() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+// Point the tracker and the particle system at a profile's ranges, or back
+// at the defaults with profile = null
+export function applyCalibration(profile, { tracker, particleSystem }) {
+  if (!profile) {
+    const { closeRatio, openRatio } = HAND_TRACKING_DEFAULTS;
+    tracker.setOptions({ closeRatio, openRatio });
+    particleSystem.setHandScaleRange();
+    return;
+  }
+  tracker.setOptions({ closeRatio: profile.closeRatio, openRatio: profile.openRatio });
+  particleSystem.setHandScaleRange(profile.scaleRange[0], profile.scaleRange[1]);
+}
+
+// Steps through CALIBRATION_STEPS from update(dt, handData) calls. Progress
+// only runs while a hand is in view. Reports through onChange(calibration);
+// `profile` is set when it succeeds, `error` when the measurements don't
+// make sense.
+export class Calibration {
+  constructor() {
+    this.active = false;
+    this.onChange = null;
+    this.reset();
+  }
+
+  reset() {
+    this.stepIndex = 0;
+    this.time = 0; // In the current step, settling included
+    this.samples = [];
+    this.handVisible = true;
+    this.results = {};
+    this.profile = null;
+    this.error = null;
+  }
+
+  get step() {
+    return CALIBRATION_STEPS[this.stepIndex] || null;
+  }
+
+  // 0..1 through the current step
+  get progress() {
+    return Math.min(1, this.time / (SETTLE_TIME + SAMPLE_TIME));
+  }
+
+  get measuring() {
+    return this.time >= SETTLE_TIME;
+  }
+
+  start() {
+    this.reset();
+    this.active = true;
+    this.changed();
+  }
+
+  cancel() {
+    if (!this.active) return;
+    this.active = false;
+    this.changed();
+  }
+
+  // handData: the camera hand (HandTracker.getState()), null without one
+  update(dt, handData) {
+    if (!this.active) return;
+    if (!handData) {
+      if (this.handVisible) {
+        this.handVisible = false;
+        this.changed();
+      }
+      return;
+    }
+    this.handVisible = true;
+    const step = this.step;
+    this.time += dt;
+    if (this.measuring) this.samples.push(handData[step.measure]);
+    if (this.time < SETTLE_TIME + SAMPLE_TIME) {
+      this.changed();
+      return;
+    }
+
+    this.results[step.id] = median(this.samples);
+    this.stepIndex++;
+    this.time = 0;
+    this.samples = [];
+    if (!this.step) this.finish();
+    this.changed();
+  }
+
+  finish() {
+    const { open, fist, near, far } = this.results;
+    this.active = false;
+    if (!(open - fist >= MIN_OPENNESS_GAP)) {
+      this.error = "Couldn't tell your open palm from your fist. Spread your fingers wide and curl them tight.";
+      return;
+    }
+    if (!(near >= far * MIN_SCALE_RATIO)) {
+      this.error = 'Your near and far hand looked about the same size. Try moving further in between.';
+      return;
+    }
+    this.profile = {
+      version: PROFILE_VERSION,
+      date: new Date().toISOString(),
+      closeRatio: fist + (open - fist) * CLOSE_AT,
+      openRatio: fist + (open - fist) * OPEN_AT,
+      scaleRange: [far, near],
+      measured: { ...this.results }
+    };
+    log.info('Hand calibration:', this.profile);
+  }
+
+  changed() {
+    if (this.onChange) this.onChange(this);
+  }
+}
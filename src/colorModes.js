@@ -0,0 +1,105 @@
+import * as THREE from 'three';
+
+// Color modes: instead of the colors a shape generator wrote, color each
+// particle from where it sits in the shape. Computed in the vertex shader
+// (COLOR_GLSL) from the morphing target position, so switching modes or
+// stops is live and carries over to the next shape.
+
+// ids index the branches in modeColor() - keep both in sync
+export const COLOR_MODES = {
+  shape: { id: 0, label: 'Shape colors' },
+  gradient: { id: 1, label: 'Gradient' },
+  radial: { id: 2, label: 'Radial' },
+  rainbow: { id: 3, label: 'Rainbow' },
+  palette: { id: 4, label: 'Palette' },
+  photo: { id: 5, label: 'Photo' }
+};
+
+export const GRADIENT_AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+
+export const MAX_PALETTE = 8;
+
+export const COLOR_PALETTES = {
+  festive: ['#c8102e', '#ffd700', '#0f5e2f', '#ffffff'],
+  pastel: ['#ffb3c6', '#bde0fe', '#caffbf', '#fdffb6', '#cdb4db'],
+  neon: ['#ff00a0', '#00f0ff', '#aaff00', '#ff6a00'],
+  sunset: ['#ff5e62', '#ff9966', '#ffcc70', '#8e44ad']
+};
+
+export const COLOR_MODE_DEFAULTS = {
+  mode: 'shape',
+  stops: ['#ff0066', '#ffd700'], // 2 or 3 colors, first to last
+  axis: 'y',
+  palette: 'festive', // Name in COLOR_PALETTES or an array of colors
+  photo: null // Atlas slot for 'photo', null = latest photo
+};
+
+export function createColorUniforms() {
+  return {
+    uColorMode: { value: 0.0 },
+    uColorStops: { value: [new THREE.Color(), new THREE.Color(), new THREE.Color()] },
+    uColorStopCount: { value: 2.0 },
+    uColorAxis: { value: GRADIENT_AXES.y.clone() },
+    uPalette: { value: Array.from({ length: MAX_PALETTE }, () => new THREE.Color()) },
+    uPaletteSize: { value: 1.0 },
+    uPhotoCell: { value: new THREE.Vector2() }, // Atlas UV offset of the photo
+    uShapeCenter: { value: new THREE.Vector3() },
+    uShapeExtent: { value: new THREE.Vector3(15, 15, 15) } // Half size of the bounding box
+  };
+}
+
+// Vertex shader chunk. Needs aRandom, random(vec2), uPhotoTexture and
+// uAtlasGridSize in scope.
+export const COLOR_GLSL = `
+        uniform float uColorMode;
+        uniform vec3 uColorStops[3];
+        uniform float uColorStopCount;
+        uniform vec3 uColorAxis;
+        uniform vec3 uPalette[${MAX_PALETTE}];
+        uniform float uPaletteSize;
+        uniform vec2 uPhotoCell;
+        uniform vec3 uShapeCenter;
+        uniform vec3 uShapeExtent;
+
+        vec3 hsv2rgb(vec3 c) {
+            vec3 p = abs(fract(c.xxx + vec3(0.0, 2.0 / 3.0, 1.0 / 3.0)) * 6.0 - 3.0);
+            return c.z * mix(vec3(1.0), clamp(p - 1.0, 0.0, 1.0), c.y);
+        }
+
+        vec3 gradientColor(float t) {
+            t = clamp(t, 0.0, 1.0);
+            if (uColorStopCount < 2.5) return mix(uColorStops[0], uColorStops[1], t);
+            if (t < 0.5) return mix(uColorStops[0], uColorStops[1], t * 2.0);
+            return mix(uColorStops[1], uColorStops[2], t * 2.0 - 1.0);
+        }
+
+        // Color for a particle at pos (shape space, before hand rotation)
+        vec3 modeColor(vec3 pos) {
+            vec3 p = pos - uShapeCenter;
+            float radius = max(max(uShapeExtent.x, uShapeExtent.y), max(uShapeExtent.z, 0.001));
+
+            if (uColorMode < 1.5) {
+                float extent = max(dot(uColorAxis, uShapeExtent), 0.001);
+                return gradientColor(dot(p, uColorAxis) / (2.0 * extent) + 0.5);
+            }
+            if (uColorMode < 2.5) {
+                return gradientColor(length(p) / radius);
+            }
+            if (uColorMode < 3.5) {
+                float hue = atan(p.y, p.x) / 6.28318 + 0.5;
+                return hsv2rgb(vec3(hue, 0.85, 1.0));
+            }
+            if (uColorMode < 4.5) {
+                float pick = floor(random(aRandom.zy + 0.71) * uPaletteSize);
+                return uPalette[int(min(pick, uPaletteSize - 1.0))];
+            }
+            // Photo: project the shape's front view onto the photo
+            float size = max(max(uShapeExtent.x, uShapeExtent.y), 0.001) * 2.0;
+            vec2 local = clamp(p.xy / size + 0.5, 0.0, 1.0);
+            return texture2D(uPhotoTexture, uPhotoCell + local / uAtlasGridSize).rgb;
+        }
+`;
@@ -1,4 +1,7 @@
 import { neon } from '@neondatabase/serverless';
+import { createLogger } from './logger.js';
+
+const log = createLogger('database');
 
 class PhotoDatabase {
   constructor() {
@@ -9,7 +12,7 @@ class PhotoDatabase {
 
   async init() {
     if (!this.connectionString) {
-      console.warn('No Neon database URL configured. Photos will not persist.');
+      log.warn('No Neon database URL configured. Photos will not persist.');
       return false;
     }
 
@@ -28,17 +31,17 @@ class PhotoDatabase {
       `;
       
       this.initialized = true;
-      console.log('✅ Neon database connected and initialized');
+      log.info('✅ Neon database connected and initialized');
       return true;
     } catch (error) {
-      console.error('Failed to initialize Neon database:', error);
+      log.error('Failed to initialize Neon database:', error);
       return false;
     }
   }
 
   async savePhoto(slot, imageDataUrl) {
     if (!this.initialized) {
-      console.warn('Database not initialized, skipping save');
+      log.warn('Database not initialized, skipping save');
       return false;
     }
 
@@ -50,17 +53,17 @@ class PhotoDatabase {
         ON CONFLICT (slot) 
         DO UPDATE SET image_data = ${imageDataUrl}, created_at = CURRENT_TIMESTAMP
       `;
-      console.log(`📸 Photo saved to slot ${slot}`);
+      log.info(`📸 Photo saved to slot ${slot}`);
       return true;
     } catch (error) {
-      console.error('Failed to save photo:', error);
+      log.error('Failed to save photo:', error);
       return false;
     }
   }
 
   async loadAllPhotos() {
     if (!this.initialized) {
-      console.warn('Database not initialized, returning empty');
+      log.warn('Database not initialized, returning empty');
       return [];
     }
 
@@ -68,10 +71,10 @@ class PhotoDatabase {
       const photos = await this.sql`
         SELECT slot, image_data FROM photos ORDER BY slot ASC
       `;
-      console.log(`📷 Loaded ${photos.length} photos from database`);
+      log.info(`📷 Loaded ${photos.length} photos from database`);
       return photos;
     } catch (error) {
-      console.error('Failed to load photos:', error);
+      log.error('Failed to load photos:', error);
       return [];
     }
   }
@@ -83,7 +86,7 @@ class PhotoDatabase {
       await this.sql`DELETE FROM photos WHERE slot = ${slot}`;
       return true;
     } catch (error) {
-      console.error('Failed to delete photo:', error);
+      log.error('Failed to delete photo:', error);
       return false;
     }
   }
@@ -93,10 +96,10 @@ class PhotoDatabase {
 
     try {
       await this.sql`DELETE FROM photos`;
-      console.log('🗑️ All photos cleared from database');
+      log.info('🗑️ All photos cleared from database');
       return true;
     } catch (error) {
-      console.error('Failed to clear photos:', error);
+      log.error('Failed to clear photos:', error);
       return false;
     }
   }
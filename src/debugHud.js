@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+import { drawConnectors, drawLandmarks } from '@mediapipe/drawing_utils';
+
+// Debug overlay (toggle with D or ?debug=1): the camera feed picture-in-
+// picture with the tracked hand skeleton on top, and live numbers for tuning
+// the tracker and the scene.
+
+const STATS_INTERVAL = 0.25; // Seconds between telemetry refreshes
+const RAD_TO_DEG = 180 / Math.PI;
+
+// The 21-landmark hand skeleton. Same pairs as MediaPipe's HAND_CONNECTIONS,
+// kept here so the HUD doesn't pull the tracker back into the main chunk
+const HAND_CONNECTIONS = [
+  [0, 1], [1, 2], [2, 3], [3, 4], // Thumb
+  [0, 5], [5, 6], [6, 7], [7, 8], // Index
+  [5, 9], [9, 10], [10, 11], [11, 12], // Middle
+  [9, 13], [13, 14], [14, 15], [15, 16], // Ring
+  [13, 17], [0, 17], [17, 18], [18, 19], [19, 20] // Pinky
+];
+
+function degrees(angle) {
+  return `${Math.round(angle * RAD_TO_DEG)}°`;
+}
+
+export class DebugHud {
+  // inputs: the InputManager, for the active source
+  constructor({ handTracker, particleSystem, inputs = null }) {
+    this.handTracker = handTracker;
+    this.particleSystem = particleSystem;
+    this.inputs = inputs;
+    this.container = document.getElementById('debug-hud');
+    this.canvas = document.getElementById('debug-camera');
+    this.ctx = this.canvas.getContext('2d');
+    this.stats = document.getElementById('debug-stats');
+    this.visible = false;
+
+    this.fps = 0;
+    this.statsTimer = 0;
+    this.frames = 0; // Rendered since the last refresh
+    this.trackedFrames = 0; // Tracker results since the last refresh
+    this.lastResults = null;
+  }
+
+  toggle(visible = !this.visible) {
+    this.visible = visible;
+    this.container.classList.toggle('active', visible);
+    this.statsTimer = 0;
+    this.frames = 0;
+    this.trackedFrames = 0;
+  }
+
+  // Every animation frame, with what the scene was given
+  update(dt, handData) {
+    if (!this.visible) return;
+    this.frames++;
+    const results = this.handTracker.results;
+    if (results && results !== this.lastResults) {
+      this.lastResults = results;
+      this.trackedFrames++;
+      this.drawCamera(results);
+    }
+
+    this.statsTimer += dt;
+    if (this.statsTimer < STATS_INTERVAL) return;
+    this.fps = this.frames / this.statsTimer;
+    const trackingFps = this.trackedFrames / this.statsTimer;
+    this.statsTimer = 0;
+    this.frames = 0;
+    this.trackedFrames = 0;
+    this.stats.textContent = this.describe(handData, trackingFps).join('\n');
+  }
+
+  // Mirrored like the scene, so the skeleton moves the way the hand does
+  drawCamera(results) {
+    const { width, height } = this.canvas;
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.translate(width, 0);
+    ctx.scale(-1, 1);
+    if (results.image) {
+      ctx.drawImage(results.image, 0, 0, width, height);
+    } else {
+      // Replayed sessions have no picture
+      ctx.fillStyle = '#111118';
+      ctx.fillRect(0, 0, width, height);
+    }
+    (results.multiHandLandmarks || []).forEach(landmarks => {
+      drawConnectors(ctx, landmarks, HAND_CONNECTIONS, { color: '#ff99bb', lineWidth: 2 });
+      drawLandmarks(ctx, landmarks, { color: '#ff0066', lineWidth: 1, radius: 2 });
+    });
+    ctx.restore();
+  }
+
+  describe(handData, trackingFps) {
+    const tracker = this.handTracker;
+    const ps = this.particleSystem;
+    const { closeRatio, openRatio } = tracker.options;
+    const { min, max } = ps.handScaleRange;
+    const source = this.inputs ? this.inputs.source : handData && handData.source;
+
+    const lines = [
+      `FPS       ${this.fps.toFixed(0)}`,
+      tracker.replaying
+        ? `Tracking  ${trackingFps.toFixed(0)} fps (replay)`
+        : `Tracking  ${trackingFps.toFixed(0)} fps, ${tracker.latency.toFixed(0)} ms`,
+      `Input     ${source || 'none'}`,
+      `Particles ${ps.particles.count.toLocaleString()} / ${ps.particleCount.toLocaleString()}`,
+      `uState    ${ps.material.uniforms.uState.value.toFixed(2)}`
+    ];
+    if (!handData) return lines;
+
+    if (handData.openness !== undefined) {
+      lines.push(`Open      ${handData.openness.toFixed(2)} (close < ${closeRatio.toFixed(2)}, open > ${openRatio.toFixed(2)})`);
+    }
+    lines.push(`State     ${handData.isClosed ? 'closed' : 'open'}${handData.pinching ? ', pinching' : ''}`);
+    lines.push(`Scale     ${handData.scale.toFixed(3)} (${min.toFixed(2)}..${max.toFixed(2)})`);
+    if (handData.rotation) {
+      const euler = new THREE.Euler().setFromQuaternion(handData.rotation, 'YXZ');
+      lines.push(`Rotation  pitch ${degrees(euler.x)} yaw ${degrees(euler.y)} roll ${degrees(euler.z)}`);
+    }
+    if (handData.gesture) {
+      lines.push(`Gesture   ${handData.gesture.name} ${handData.gesture.confidence.toFixed(2)}`);
+    }
+    if (handData.hands) lines.push(`Hands     ${handData.hands.length}`);
+    return lines;
+  }
+}
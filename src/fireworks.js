@@ -0,0 +1,260 @@
+import * as THREE from 'three';
+import { registerShape, writeColor, writePosition } from './shapes.js';
+
+// Fireworks: an animated shape. Positions are a function of time, so they
+// are computed in the vertex shader (FIREWORKS_GLSL) from a handful of
+// burst slots kept in uniforms. Each particle belongs to one slot
+// (aID mod MAX_BURSTS); the CPU side only schedules launches.
+
+export const MAX_BURSTS = 8;
+
+const SHELL_TYPES = { sphere: 0, ring: 1, heart: 2 };
+const RISE_TIME = 1.2; // Seconds from launch to burst
+const BURST_LIFE = 2.6; // Seconds from burst to fully faded
+const LAUNCH_Y = -30; // Below the bottom of the screen
+const IDLE_POS = new THREE.Vector4(0, -60, 0, -1); // w < 0 marks an idle slot
+
+const PALETTE = ['#ff3366', '#ffd700', '#33ccff', '#66ff99', '#ff66ff', '#ff9933', '#ffffff'];
+
+export function createFireworksUniforms() {
+  return {
+    uFireworks: { value: 0.0 }, // 1 while the fireworks shape is active
+    uBurstLaunch: { value: Array.from({ length: MAX_BURSTS }, () => IDLE_POS.clone()) }, // xyz origin, w launch time
+    uBurstApex: { value: Array.from({ length: MAX_BURSTS }, () => new THREE.Vector4()) }, // xyz burst point, w shell type
+    uBurstColor: { value: Array.from({ length: MAX_BURSTS }, () => new THREE.Vector3(1, 1, 1)) }
+  };
+}
+
+// Vertex shader chunk. Needs uTime, aID, aRandom and random(vec2) in scope.
+export const FIREWORKS_GLSL = `
+        uniform float uFireworks;
+        uniform vec4 uBurstLaunch[${MAX_BURSTS}];
+        uniform vec4 uBurstApex[${MAX_BURSTS}];
+        uniform vec3 uBurstColor[${MAX_BURSTS}];
+
+        // Position of this particle in its burst slot. fade is 0 when the
+        // particle is not part of a live rocket/shell, heat is 1 while white hot.
+        vec3 fireworkPos(out float fade, out float heat, out vec3 burstColor) {
+            int slot = int(mod(aID, ${MAX_BURSTS}.0));
+            vec4 launch = uBurstLaunch[slot];
+            vec4 apex = uBurstApex[slot];
+            burstColor = uBurstColor[slot];
+            fade = 0.0;
+            heat = 0.0;
+            if (launch.w < 0.0) return launch.xyz;
+
+            float r1 = random(aRandom.xy + 0.17);
+            float r2 = random(aRandom.yz + 0.31);
+            float r3 = random(aRandom.zx + 0.53);
+            float t = uTime - launch.w;
+
+            // Rocket: a few particles form the head and a lagging trail
+            if (t < ${RISE_TIME.toFixed(2)}) {
+                if (r1 > 0.05) return launch.xyz;
+                float lag = r2 * 0.25;
+                float p = max(t / ${RISE_TIME.toFixed(2)} - lag, 0.0);
+                float e = 1.0 - (1.0 - p) * (1.0 - p); // Slows near the apex
+                vec3 pos = mix(launch.xyz, apex.xyz, e);
+                pos.x += sin(t * 20.0 + r3 * 6.28318) * lag * 0.6;
+                fade = 1.0 - lag * 3.0;
+                heat = 1.0;
+                return pos;
+            }
+
+            float tb = t - ${RISE_TIME.toFixed(2)};
+            if (tb > ${BURST_LIFE.toFixed(2)}) return launch.xyz;
+
+            // Shell direction
+            vec3 dir;
+            float a = r2 * 6.28318;
+            if (apex.w < 0.5) {
+                // Sphere, with some speed spread so it looks filled
+                float z = r1 * 2.0 - 1.0;
+                float rr = sqrt(1.0 - z * z);
+                dir = vec3(rr * cos(a), rr * sin(a), z) * (0.75 + r3 * 0.25);
+            } else if (apex.w < 1.5) {
+                // Tilted ring
+                dir = normalize(vec3(cos(a), sin(a) * 0.4, sin(a))) * (0.95 + r1 * 0.1);
+            } else {
+                // Heart, facing the camera
+                float s = sin(a);
+                dir = vec3(
+                    16.0 * s * s * s,
+                    13.0 * cos(a) - 5.0 * cos(2.0 * a) - 2.0 * cos(3.0 * a) - cos(4.0 * a),
+                    (r1 - 0.5) * 3.0
+                ) / 16.0;
+            }
+
+            // Fast expansion with drag, then gravity takes over
+            vec3 pos = apex.xyz + dir * 12.0 * (1.0 - exp(-2.2 * tb));
+            pos.y -= 2.0 * tb * tb;
+
+            fade = 1.0 - smoothstep(${(BURST_LIFE * 0.4).toFixed(2)}, ${BURST_LIFE.toFixed(2)}, tb);
+            fade *= 0.75 + 0.25 * sin(uTime * 30.0 + r3 * 40.0); // Crackle
+            heat = 1.0 - smoothstep(0.0, 0.35, tb);
+            return pos;
+        }
+`;
+
+const burstDir = new THREE.Vector3();
+const WHITE_HOT = new THREE.Color(1.0, 0.95, 0.8);
+
+// Color from fireworkPos()'s fade and heat, as the particle shader mixes it
+function glowColor(target, burst, fade, heat) {
+  return target.setRGB(burst.x, burst.y, burst.z).lerp(WHITE_HOT, heat).multiplyScalar(fade);
+}
+
+// random(vec2) from the particle shader
+function shaderRandom(x, y) {
+  const v = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453123;
+  return v - Math.floor(v);
+}
+
+export class Fireworks {
+  constructor(uniforms) {
+    this.uniforms = uniforms;
+    this.active = false;
+    this.autoLaunch = true; // Keep launching while the shape is active
+    this.interval = [0.5, 1.4]; // Seconds between automatic launches
+    this.nextSlot = 0;
+    this.autoTimer = 0;
+    this.wasClosed = false;
+  }
+
+  start() {
+    this.active = true;
+    this.autoTimer = 0;
+    this.uniforms.uFireworks.value = 1.0;
+  }
+
+  stop() {
+    this.active = false;
+    this.uniforms.uFireworks.value = 0.0;
+    this.uniforms.uBurstLaunch.value.forEach(v => v.copy(IDLE_POS));
+  }
+
+  // options: { x, type ('sphere' | 'ring' | 'heart'), color }
+  launch(options = {}) {
+    if (!this.active) return;
+
+    const slot = this.nextSlot;
+    this.nextSlot = (this.nextSlot + 1) % MAX_BURSTS;
+
+    const x = options.x ?? (Math.random() - 0.5) * 40;
+    const z = (Math.random() - 0.5) * 15 - 3;
+    const typeName = options.type || (Math.random() < 0.5 ? 'sphere' : (Math.random() < 0.5 ? 'ring' : 'heart'));
+    const color = new THREE.Color(options.color || PALETTE[Math.floor(Math.random() * PALETTE.length)]);
+
+    this.uniforms.uBurstLaunch.value[slot].set(x, LAUNCH_Y, z, this.uniforms.uTime.value);
+    this.uniforms.uBurstApex.value[slot].set(
+      x + (Math.random() - 0.5) * 8,
+      2 + Math.random() * 16,
+      z,
+      SHELL_TYPES[typeName] ?? 0
+    );
+    this.uniforms.uBurstColor.value[slot].set(color.r, color.g, color.b);
+  }
+
+  // CPU mirror of fireworkPos() in FIREWORKS_GLSL (keep both in sync): where
+  // particle id, with aRandom (rx, ry, rz), is right now. Given a color
+  // (THREE.Color), also writes the color the particle shader draws it in.
+  // For picking and the morph snapshot.
+  position(id, rx, ry, rz, target, color = null) {
+    const slot = id % MAX_BURSTS;
+    const launch = this.uniforms.uBurstLaunch.value[slot];
+    const apex = this.uniforms.uBurstApex.value[slot];
+    const burst = this.uniforms.uBurstColor.value[slot];
+    target.set(launch.x, launch.y, launch.z);
+    if (color) color.setRGB(0, 0, 0); // Not part of a live rocket or shell
+    if (launch.w < 0) return target;
+
+    const r1 = shaderRandom(rx + 0.17, ry + 0.17);
+    const r2 = shaderRandom(ry + 0.31, rz + 0.31);
+    const r3 = shaderRandom(rz + 0.53, rx + 0.53);
+    const t = this.uniforms.uTime.value - launch.w;
+
+    if (t < RISE_TIME) {
+      if (r1 > 0.05) return target;
+      const lag = r2 * 0.25;
+      const p = Math.max(t / RISE_TIME - lag, 0);
+      const e = 1 - (1 - p) * (1 - p);
+      target.lerp(apex, e);
+      target.x += Math.sin(t * 20 + r3 * 6.28318) * lag * 0.6;
+      if (color) glowColor(color, burst, 1 - lag * 3, 1);
+      return target;
+    }
+
+    const tb = t - RISE_TIME;
+    if (tb > BURST_LIFE) return target;
+
+    const a = r2 * 6.28318;
+    const dir = burstDir;
+    if (apex.w < 0.5) {
+      const z = r1 * 2 - 1;
+      const rr = Math.sqrt(1 - z * z);
+      dir.set(rr * Math.cos(a), rr * Math.sin(a), z).multiplyScalar(0.75 + r3 * 0.25);
+    } else if (apex.w < 1.5) {
+      dir.set(Math.cos(a), Math.sin(a) * 0.4, Math.sin(a)).normalize().multiplyScalar(0.95 + r1 * 0.1);
+    } else {
+      const s = Math.sin(a);
+      dir.set(
+        16 * s * s * s,
+        13 * Math.cos(a) - 5 * Math.cos(2 * a) - 2 * Math.cos(3 * a) - Math.cos(4 * a),
+        (r1 - 0.5) * 3
+      ).divideScalar(16);
+    }
+    target.set(apex.x, apex.y, apex.z).addScaledVector(dir, 12 * (1 - Math.exp(-2.2 * tb)));
+    target.y -= 2 * tb * tb;
+
+    if (color) {
+      const { smoothstep } = THREE.MathUtils;
+      const crackle = 0.75 + 0.25 * Math.sin(this.uniforms.uTime.value * 30 + r3 * 40);
+      glowColor(color, burst, (1 - smoothstep(tb, BURST_LIFE * 0.4, BURST_LIFE)) * crackle, 1 - smoothstep(tb, 0, 0.35));
+    }
+    return target;
+  }
+
+  update(dt, isClosed) {
+    if (!this.active) return;
+
+    // Each fist close sends one up
+    if (isClosed && !this.wasClosed) this.launch();
+    this.wasClosed = isClosed;
+
+    if (this.autoLaunch) {
+      this.autoTimer -= dt;
+      if (this.autoTimer <= 0) {
+        this.launch();
+        const [min, max] = this.interval;
+        this.autoTimer = min + Math.random() * (max - min);
+      }
+    }
+  }
+}
+
+registerShape('fireworks', {
+  ambient: 'lanterns',
+  // Resting positions along the launch line: particles gather there when
+  // morphing in and rise from there into the next shape. Colors are black so
+  // nothing shows until a burst lights it up.
+  generate({ count, positions, colors, random }) {
+    const black = { r: 0, g: 0, b: 0 };
+    for (let i = 0; i < count; i++) {
+      writePosition(positions, i,
+        (random() - 0.5) * 50,
+        LAUNCH_Y + (random() - 0.5) * 2,
+        (random() - 0.5) * 15
+      );
+      writeColor(colors, i, black);
+    }
+  },
+  activate(ps) {
+    ps.fireworks.start();
+  },
+  deactivate(ps) {
+    ps.fireworks.stop();
+  },
+  update(ps, dt) {
+    ps.fireworks.update(dt, ps.isClosed);
+  }
+});
@@ -0,0 +1,220 @@
+// Gesture recognition from MediaPipe hand landmarks, plus a mapper that
+// turns held gestures (and swipes) into app actions.
+//
+// Landmark indices: 0 wrist; thumb 1-4; index 5-8; middle 9-12; ring
+// 13-16; pinky 17-20 (MCP, PIP, DIP, tip for the fingers). Coordinates are
+// normalized to the video frame, y down.
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('gestures');
+
+export const GESTURES = {
+  fist: { label: 'Fist' },
+  open: { label: 'Open palm' },
+  pinch: { label: 'Pinch' },
+  point: { label: 'Point' },
+  peace: { label: 'Peace' },
+  thumbsUp: { label: 'Thumbs up' },
+  ok: { label: 'OK' },
+  heart: { label: 'Heart hands', hands: 2 },
+  // Swipes are events (see HandTracker.setOnSwipe): they fire right away
+  // through GestureActions.trigger instead of being held
+  swipeLeft: { label: 'Swipe left', event: true },
+  swipeRight: { label: 'Swipe right', event: true },
+  swipeUp: { label: 'Swipe up', event: true },
+  swipeDown: { label: 'Swipe down', event: true }
+};
+
+const MIN_CONFIDENCE = 0.6; // Below this the gesture is 'none'
+
+const FINGER_TIPS = [8, 12, 16, 20];
+const FINGER_PIPS = [6, 10, 14, 18];
+
+function dist(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+// Wrist to middle knuckle: stable whatever the fingers do
+function palmSize(landmarks) {
+  return Math.max(dist(landmarks[0], landmarks[9]), 1e-6);
+}
+
+// 0 (curled) .. 1 (straight) for thumb, index, middle, ring, pinky
+function fingerExtension(landmarks) {
+  const wrist = landmarks[0];
+  const fingers = FINGER_TIPS.map((tip, i) => {
+    // A straight finger's tip is well past its middle joint
+    const ratio = dist(wrist, landmarks[tip]) / Math.max(dist(wrist, landmarks[FINGER_PIPS[i]]), 1e-6);
+    return smoothstep(0.95, 1.25, ratio);
+  });
+  // Thumb: folded across the palm its tip sits next to the index knuckle
+  const thumb = smoothstep(0.3, 0.6, dist(landmarks[4], landmarks[5]) / palmSize(landmarks));
+  return [thumb, ...fingers];
+}
+
+// One hand. Returns { name, confidence, fingers, scores } where scores has a
+// 0..1 confidence for every one-hand gesture and fingers is the number of
+// extended fingers (thumb included).
+export function classifyHand(landmarks) {
+  const [thumb, index, middle, ring, pinky] = fingerExtension(landmarks);
+  const palm = palmSize(landmarks);
+  const curled = (e) => 1 - e;
+
+  // Thumb and index tips touching
+  const touching = 1 - smoothstep(0.15, 0.35, dist(landmarks[4], landmarks[8]) / palm);
+  // Thumb tip clearly above its base knuckle
+  const thumbUp = smoothstep(0.3, 0.7, (landmarks[2].y - landmarks[4].y) / palm);
+  const othersOpen = Math.min(middle, ring, pinky);
+  const othersCurled = Math.min(curled(middle), curled(ring), curled(pinky));
+
+  const scores = {
+    ok: Math.min(touching, othersOpen),
+    pinch: Math.min(touching, 1 - othersOpen),
+    point: Math.min(index, othersCurled, 1 - touching),
+    peace: Math.min(index, middle, curled(ring), curled(pinky)),
+    thumbsUp: Math.min(thumb, thumbUp, curled(index), othersCurled),
+    fist: Math.min(curled(index), othersCurled, 1 - thumbUp),
+    open: Math.min(thumb, index, othersOpen, 1 - touching)
+  };
+
+  const fingers = [thumb, index, middle, ring, pinky].filter(e => e > 0.5).length;
+  return { ...pickGesture(scores), fingers, scores };
+}
+
+// Both hands: the index tips and the thumb tips meeting, index above
+// thumbs, make a heart. Returns 0..1.
+export function classifyTwoHands(a, b) {
+  const palm = (palmSize(a) + palmSize(b)) / 2;
+  const thumbs = 1 - smoothstep(0.4, 0.8, dist(a[4], b[4]) / palm);
+  const indexes = 1 - smoothstep(0.4, 0.8, dist(a[8], b[8]) / palm);
+  const thumbY = (a[4].y + b[4].y) / 2;
+  const indexY = (a[8].y + b[8].y) / 2;
+  const shape = smoothstep(0.2, 0.6, (thumbY - indexY) / palm);
+  return Math.min(thumbs, indexes, shape);
+}
+
+function pickGesture(scores) {
+  let name = 'none';
+  let confidence = 0;
+  Object.entries(scores).forEach(([gesture, score]) => {
+    if (score > confidence) {
+      name = gesture;
+      confidence = score;
+    }
+  });
+  if (confidence < MIN_CONFIDENCE) name = 'none';
+  return { name, confidence };
+}
+
+// All hands in a frame (array of landmark arrays). Two-hand gestures win
+// over whatever the single hands show.
+export function classifyHands(hands) {
+  if (hands.length === 0) return { name: 'none', confidence: 0, fingers: 0, scores: {}, hands: [] };
+
+  const perHand = hands.map(classifyHand);
+  const result = { ...perHand[0], hands: perHand };
+  if (hands.length >= 2) {
+    const heart = classifyTwoHands(hands[0], hands[1]);
+    result.scores = { ...result.scores, heart };
+    result.fingers = perHand[0].fingers + perHand[1].fingers;
+    if (heart >= MIN_CONFIDENCE) {
+      result.name = 'heart';
+      result.confidence = heart;
+    }
+  }
+  return result;
+}
+
+// Gesture -> action name. Gestures left out do nothing. fist/open already
+// drive the shape/cloud state, so they're unbound by default.
+export const DEFAULT_GESTURE_BINDINGS = {
+  peace: 'nextShape',
+  thumbsUp: 'fireworks',
+  ok: 'cycleColor',
+  point: 'nextPhoto',
+  heart: 'heartShape',
+  swipeLeft: 'prevShape',
+  swipeRight: 'nextShape',
+  swipeUp: 'shufflePhotos'
+};
+
+const HOLD_TIME = 0.5; // Gesture held this long (s) before its action fires
+const COOLDOWN = 1.0; // Seconds between actions
+
+// Fires the bound action once per gesture: hold the gesture to trigger,
+// change gesture (or drop the hand) to re-arm.
+export class GestureActions {
+  // actions: { name: { label, run() } }, bindings: gesture -> action name
+  constructor({ actions = {}, bindings = DEFAULT_GESTURE_BINDINGS } = {}) {
+    this.actions = { ...actions };
+    this.bindings = { ...bindings };
+    this.gesture = 'none';
+    this.heldTime = 0;
+    this.fired = false;
+    this.cooldown = 0;
+    this.onAction = null; // (action, gesture) => {}, for the UI
+  }
+
+  registerAction(name, action) {
+    this.actions[name] = typeof action === 'function' ? { label: name, run: action } : action;
+  }
+
+  // action: a registered action name, or null to unbind
+  setBinding(gesture, action) {
+    if (!GESTURES[gesture]) {
+      log.warn(`Unknown gesture "${gesture}"`);
+      return;
+    }
+    if (action && !this.actions[action]) {
+      log.warn(`Unknown gesture action "${action}"`);
+      return;
+    }
+    if (action) this.bindings[gesture] = action;
+    else delete this.bindings[gesture];
+  }
+
+  // gesture: the tracker's { name, confidence } (or null without a hand)
+  update(dt, gesture) {
+    const name = gesture ? gesture.name : 'none';
+    if (this.cooldown > 0) this.cooldown -= dt;
+
+    if (name !== this.gesture) {
+      this.gesture = name;
+      this.heldTime = 0;
+      this.fired = false;
+      return;
+    }
+    this.heldTime += dt;
+
+    if (this.fired || this.heldTime < HOLD_TIME || this.cooldown > 0) return;
+    if (this.run(name)) {
+      this.fired = true;
+      this.cooldown = COOLDOWN;
+    }
+  }
+
+  // One-off gesture events (swipes): run the bound action now
+  trigger(gesture) {
+    this.run(gesture);
+  }
+
+  run(gesture) {
+    const actionName = this.bindings[gesture];
+    const action = actionName && this.actions[actionName];
+    if (!action) return false;
+    log.info(`Gesture ${gesture} -> ${actionName}`);
+    try {
+      action.run();
+    } catch (err) {
+      log.error(`Gesture action "${actionName}" failed:`, err);
+    }
+    if (this.onAction) this.onAction(actionName, gesture);
+    return true;
+  }
+}
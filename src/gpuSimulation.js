@@ -0,0 +1,295 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer.js';
+import { MORPH_GLSL } from './morph.js';
+import { FIREWORKS_GLSL } from './fireworks.js';
+
+// GPU particle simulation: position and velocity live in float render
+// targets (one texel per particle) and are stepped every frame by two
+// compute passes. Particles spring toward the same goal the analytic shader
+// would draw them at (the shape when the fist is closed, the cloud around the
+// hand when open), pushed around by curl-noise turbulence and a repulsor at
+// the hand. The render shader then reads positions from the texture.
+
+const MAX_DELTA = 1 / 30; // Bigger steps blow the springs up after a stall
+
+export const SIMULATION_DEFAULTS = {
+  spring: 12.0, // Pull toward the shape (the cloud pulls at a quarter of this)
+  damping: 3.0, // Velocity decay per second
+  turbulence: 25.0, // Curl-noise strength when open (a tenth of it when closed)
+  repulsion: 120.0, // Hand repulsor strength, open hand only
+  repulsorRadius: 10.0
+};
+
+// Shared by both passes. The morph and fireworks chunks expect vertex
+// attributes, so they get globals filled from the data textures instead.
+const SIM_COMMON_GLSL = `
+        uniform float uTime;
+        uniform float uState;
+        uniform vec3 uHandPos;
+        uniform vec4 uHandRotation;
+        uniform float uScale;
+        uniform vec3 uSplitLeft;
+        uniform vec3 uSplitRight;
+        uniform float uDelta;
+        uniform sampler2D uTargets;
+        uniform sampler2D uPrevTargets;
+        uniform sampler2D uRandoms;
+
+        vec3 aTargetPos;
+        vec3 aRandom;
+        float aID;
+
+        float random(vec2 st) {
+            return fract(sin(dot(st.xy, vec2(12.9898,78.233))) * 43758.5453123);
+        }
+
+        vec3 applyQuaternion(vec3 v, vec4 q) {
+            return v + 2.0 * cross(q.xyz, cross(q.xyz, v) + q.w * v);
+        }
+${MORPH_GLSL}
+${FIREWORKS_GLSL}
+        // Where the analytic shader would put this particle (without the
+        // Bezier flight - the physics handles the transition)
+        vec3 simGoal(vec2 uv, out float closed) {
+            aID = floor(gl_FragCoord.y) * resolution.x + floor(gl_FragCoord.x);
+            aTargetPos = texture2D(uTargets, uv).xyz;
+            aRandom = texture2D(uRandoms, uv).xyz;
+
+            vec3 shapeTarget = aTargetPos;
+            vec4 shapeRotation = uHandRotation;
+            float shapeScale = uScale * 1.5;
+            if (uFireworks > 0.5) {
+                float fwFade, fwHeat;
+                vec3 burstColor;
+                shapeTarget = fireworkPos(fwFade, fwHeat, burstColor);
+                shapeRotation = vec4(0.0, 0.0, 0.0, 1.0);
+                shapeScale = 1.0;
+            }
+            vec3 targetPos = mix(texture2D(uPrevTargets, uv).xyz, shapeTarget, morphProgress());
+            vec3 shapePos = applyQuaternion(targetPos, shapeRotation) * shapeScale;
+            shapePos += shapePos.x < 0.0 ? uSplitLeft : uSplitRight;
+
+            float t = uTime * 0.5 + aRandom.x * 10.0;
+            vec3 floatOffset = vec3(sin(t), cos(t * 0.8), sin(t * 1.2)) * 3.0;
+            vec3 cloudPos = uHandPos + (aRandom - 0.5) * vec3(70.0, 60.0, 40.0) + vec3(0.0, 0.0, -10.0) + floatOffset;
+
+            closed = smoothstep(0.0, 1.0, uState);
+            return mix(cloudPos, shapePos, closed);
+        }
+`;
+
+const VELOCITY_GLSL = `
+        uniform float uSpring;
+        uniform float uDamping;
+        uniform float uTurbulence;
+        uniform float uRepulsion;
+        uniform float uRepulsorRadius;
+${SIM_COMMON_GLSL}
+        // Smooth vector potential; its curl is a divergence-free flow, so
+        // particles swirl without bunching up
+        vec3 potential(vec3 p) {
+            return vec3(
+                sin(p.y * 1.3 + uTime * 0.3) + cos(p.z * 1.7 - uTime * 0.2),
+                sin(p.z * 1.1 + uTime * 0.25) + cos(p.x * 1.5 + uTime * 0.15),
+                sin(p.x * 1.2 - uTime * 0.35) + cos(p.y * 1.9 + uTime * 0.1)
+            );
+        }
+
+        vec3 curlNoise(vec3 p) {
+            const float e = 0.1;
+            vec3 dx = vec3(e, 0.0, 0.0);
+            vec3 dy = vec3(0.0, e, 0.0);
+            vec3 dz = vec3(0.0, 0.0, e);
+            vec3 px = potential(p + dx) - potential(p - dx);
+            vec3 py = potential(p + dy) - potential(p - dy);
+            vec3 pz = potential(p + dz) - potential(p - dz);
+            return vec3(py.z - pz.y, pz.x - px.z, px.y - py.x) / (2.0 * e);
+        }
+
+        void main() {
+            vec2 uv = gl_FragCoord.xy / resolution.xy;
+            vec3 pos = texture2D(texturePosition, uv).xyz;
+            vec3 vel = texture2D(textureVelocity, uv).xyz;
+
+            float closed;
+            vec3 goal = simGoal(uv, closed);
+
+            // Spring toward the goal; loose in the cloud, tight in the shape
+            vec3 force = (goal - pos) * uSpring * mix(0.25, 1.0, closed);
+
+            // Turbulence, mostly while open so the shape stays readable
+            force += curlNoise(pos * 0.06 + aRandom * 0.5) * uTurbulence * mix(1.0, 0.1, closed);
+
+            // Open hand pushes particles away
+            vec3 fromHand = pos - uHandPos;
+            float dist = length(fromHand);
+            float push = 1.0 - smoothstep(0.0, uRepulsorRadius, dist);
+            force += fromHand / max(dist, 0.001) * push * uRepulsion * (1.0 - closed);
+
+            vel += force * uDelta;
+            vel *= exp(-uDamping * uDelta);
+            gl_FragColor = vec4(vel, 1.0);
+        }
+`;
+
+const POSITION_GLSL = `
+${SIM_COMMON_GLSL}
+        void main() {
+            vec2 uv = gl_FragCoord.xy / resolution.xy;
+            vec3 pos = texture2D(texturePosition, uv).xyz;
+            vec3 vel = texture2D(textureVelocity, uv).xyz;
+            pos += vel * uDelta;
+
+            // Fireworks move too fast for a spring to follow - track them
+            if (uFireworks > 0.5) {
+                float closed;
+                pos = mix(pos, simGoal(uv, closed), closed);
+            }
+            gl_FragColor = vec4(pos, 1.0);
+        }
+`;
+
+// Uniforms the passes read straight from the render material
+const SHARED_UNIFORMS = [
+  'uTime', 'uState', 'uHandPos', 'uHandRotation', 'uScale', 'uSplitLeft', 'uSplitRight',
+  'uMorph', 'uMorphStagger', 'uMorphEasing',
+  'uFireworks', 'uBurstLaunch', 'uBurstApex', 'uBurstColor'
+];
+
+export class GpuSimulation {
+  // Float render targets and vertex texture reads are required; check
+  // isSupported() before constructing
+  static isSupported(renderer) {
+    return renderer.capabilities.maxVertexTextures > 0 &&
+      renderer.extensions.has('EXT_color_buffer_float');
+  }
+
+  constructor(renderer, count, uniforms) {
+    this.renderer = renderer;
+    this.count = count;
+    this.size = Math.ceil(Math.sqrt(count));
+
+    this.gpu = new GPUComputationRenderer(this.size, this.size, renderer);
+    this.targets = this.createDataTexture();
+    this.prevTargets = this.createDataTexture();
+    this.randoms = this.createDataTexture();
+
+    this.velocityVar = this.gpu.addVariable('textureVelocity', VELOCITY_GLSL, this.gpu.createTexture());
+    this.positionVar = this.gpu.addVariable('texturePosition', POSITION_GLSL, this.gpu.createTexture());
+    this.gpu.setVariableDependencies(this.velocityVar, [this.positionVar, this.velocityVar]);
+    this.gpu.setVariableDependencies(this.positionVar, [this.positionVar, this.velocityVar]);
+
+    const shared = {};
+    SHARED_UNIFORMS.forEach(name => { shared[name] = uniforms[name]; });
+    const data = {
+      uDelta: { value: 0 },
+      uTargets: { value: this.targets },
+      uPrevTargets: { value: this.prevTargets },
+      uRandoms: { value: this.randoms }
+    };
+    Object.assign(this.positionVar.material.uniforms, shared, data);
+    Object.assign(this.velocityVar.material.uniforms, shared, data, {
+      uSpring: { value: SIMULATION_DEFAULTS.spring },
+      uDamping: { value: SIMULATION_DEFAULTS.damping },
+      uTurbulence: { value: SIMULATION_DEFAULTS.turbulence },
+      uRepulsion: { value: SIMULATION_DEFAULTS.repulsion },
+      uRepulsorRadius: { value: SIMULATION_DEFAULTS.repulsorRadius }
+    });
+
+    const error = this.gpu.init();
+    if (error) {
+      this.gpu.dispose();
+      throw new Error(error);
+    }
+  }
+
+  createDataTexture() {
+    const texture = new THREE.DataTexture(
+      new Float32Array(this.size * this.size * 4), this.size, this.size, THREE.RGBAFormat, THREE.FloatType
+    );
+    texture.needsUpdate = true;
+    return texture;
+  }
+
+  // Copy an xyz-per-particle array into an RGBA texture
+  writeTexture(texture, source) {
+    const data = texture.image.data;
+    for (let i = 0; i < this.count; i++) {
+      data[i * 4] = source[i * 3];
+      data[i * 4 + 1] = source[i * 3 + 1];
+      data[i * 4 + 2] = source[i * 3 + 2];
+    }
+    texture.needsUpdate = true;
+  }
+
+  setTargets(prevPositions, positions) {
+    this.writeTexture(this.prevTargets, prevPositions);
+    this.writeTexture(this.targets, positions);
+  }
+
+  setRandoms(randoms) {
+    this.writeTexture(this.randoms, randoms);
+  }
+
+  // Place particles at `positions` (xyz per particle), at rest
+  reset(positions) {
+    const pos = this.gpu.createTexture();
+    const vel = this.gpu.createTexture();
+    this.writeTexture(pos, positions);
+    [0, 1].forEach(k => {
+      this.gpu.renderTexture(pos, this.positionVar.renderTargets[k]);
+      this.gpu.renderTexture(vel, this.velocityVar.renderTargets[k]);
+    });
+    pos.dispose();
+    vel.dispose();
+  }
+
+  // { spring, damping, turbulence, repulsion, repulsorRadius }
+  setOptions(options = {}) {
+    const uniforms = this.velocityVar.material.uniforms;
+    Object.keys(SIMULATION_DEFAULTS).forEach(key => {
+      if (options[key] !== undefined) {
+        uniforms[`u${key[0].toUpperCase()}${key.slice(1)}`].value = options[key];
+      }
+    });
+  }
+
+  update(dt) {
+    const delta = Math.min(dt, MAX_DELTA);
+    this.velocityVar.material.uniforms.uDelta.value = delta;
+    this.positionVar.material.uniforms.uDelta.value = delta;
+    this.gpu.compute();
+  }
+
+  get positionTexture() {
+    return this.gpu.getCurrentRenderTarget(this.positionVar).texture;
+  }
+
+  // Read one particle's simulated position back from the GPU (slow - for
+  // clicks, not per frame)
+  readPosition(id, target = new THREE.Vector3()) {
+    const pixel = new Float32Array(4);
+    this.renderer.readRenderTargetPixels(
+      this.gpu.getCurrentRenderTarget(this.positionVar),
+      id % this.size, Math.floor(id / this.size), 1, 1, pixel
+    );
+    return target.set(pixel[0], pixel[1], pixel[2]);
+  }
+
+  // Every particle's position in one read: xyzw per particle, in id order.
+  // Same caveat as readPosition.
+  readPositions() {
+    const pixels = new Float32Array(this.size * this.size * 4);
+    this.renderer.readRenderTargetPixels(
+      this.gpu.getCurrentRenderTarget(this.positionVar), 0, 0, this.size, this.size, pixels
+    );
+    return pixels;
+  }
+
+  dispose() {
+    this.gpu.dispose();
+    this.targets.dispose();
+    this.prevTargets.dispose();
+    this.randoms.dispose();
+  }
+}
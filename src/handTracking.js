@@ -1,31 +1,166 @@
-import { Hands } from '@mediapipe/hands';
-import { Camera } from '@mediapipe/camera_utils';
 import * as THREE from 'three';
+import { classifyHand, classifyHands } from './gestures.js';
+import { OneEuroFilter } from './oneEuroFilter.js';
+
+const STILL_SPEED = 0.15; // Palm speed (screen widths per second) that counts as still...
+const STILL_AFTER = 0.4; // ...when held for this many seconds
+const MAX_HANDS = 2;
+const HISTORY_TIME = 0.5; // Seconds of palm positions kept per hand
+
+// Where the MediaPipe wasm/model files live. The build ships them under
+// mediapipe/hands/ (see vite.config.js); VITE_MEDIAPIPE_BASE or the
+// assetBase option points elsewhere, e.g. a CDN. Looked up when a tracker
+// is made, since import.meta.env only exists under Vite (not in plain Node,
+// where scripts/verifySessions.js runs the tracker).
+export function defaultAssetBase() {
+  const env = import.meta.env || {};
+  return env.VITE_MEDIAPIPE_BASE || `${env.BASE_URL || '/'}mediapipe/hands/`;
+}
+const LOAD_TIMEOUT = 30; // Seconds before giving up on the model
+
+// Tunable with `new HandTracker(video, options)` or setOptions()
+export const HAND_TRACKING_DEFAULTS = {
+  // Open/closed uses the fingertip-to-wrist distance over the knuckle-to-wrist
+  // distance. Two thresholds: an open hand closes below closeRatio, a closed
+  // one opens above openRatio, in between it keeps its state.
+  closeRatio: 1.2,
+  openRatio: 1.45,
+  dwell: 0.12, // Seconds a new open/closed state must hold before it counts
+  lostGrace: 0.3, // Seconds a hand that drops out keeps its last state
+  // One Euro filters (see oneEuroFilter.js). Position and scale are in
+  // normalized frame units, rotation in quaternion components.
+  position: { minCutoff: 1.0, beta: 5.0, dCutoff: 1.0 },
+  scale: { minCutoff: 0.5, beta: 2.0, dCutoff: 1.0 },
+  rotation: { minCutoff: 0.8, beta: 1.0, dCutoff: 1.0 },
+  // Swipes: an open hand covering swipeDistance (frame widths) within
+  // swipeWindow seconds, moving at least swipeSpeed (frame widths per second)
+  // and mostly along one axis. One per swipeCooldown seconds.
+  swipeDistance: 0.25,
+  swipeSpeed: 1.2,
+  swipeWindow: 0.3,
+  swipeCooldown: 0.8,
+  // Pinch: thumb and index tips closer than pinchRatio palm sizes starts
+  // one, further than releaseRatio ends it
+  pinchRatio: 0.25,
+  releaseRatio: 0.4,
+  pointer: { minCutoff: 1.5, beta: 8.0, dCutoff: 1.0 } // Index fingertip filter
+};
+
+const FILTERED = ['position', 'scale', 'rotation', 'pointer'];
+
+// Tracking state of one hand, kept across frames
+function createHandState(handedness, options) {
+  const filters = {};
+  FILTERED.forEach(name => { filters[name] = new OneEuroFilter(options[name]); });
+  return {
+    handedness, // 'Left' | 'Right' (MediaPipe's label)
+    isClosed: false,
+    openness: 0, // Fingertip-to-wrist over knuckle-to-wrist distance (see closeRatio)
+    pendingSince: null, // When the raw open/closed state started to differ
+    lastSeen: 0, // Seconds (performance.now)
+    filters,
+    rawRotation: new THREE.Quaternion(), // Unfiltered, for sign continuity
+    position: { x: 0.5, y: 0.5 },
+    rotation: new THREE.Quaternion(),
+    scale: 0.2,
+    // Raw palm positions { x, y, time (s) }, oldest first, covering the
+    // last HISTORY_TIME seconds
+    history: [],
+    // Palm velocity (normalized screen units per second, mirrored like
+    // position) and acceleration (per second squared), smoothed over a few
+    // frames
+    velocity: { x: 0, y: 0 },
+    acceleration: { x: 0, y: 0 },
+    stillTime: 0, // Seconds the palm has barely moved
+    lastSwipe: -Infinity, // Time of the last swipe
+    swipe: null, // { direction, speed, distance } on the frame it happened
+    pointer: { x: 0.5, y: 0.5 }, // Index fingertip, mirrored like position
+    pinching: false,
+    gesture: { name: 'none', confidence: 0, fingers: 0 },
+    landmarks: null // Latest frame
+  };
+}
+
+function handSnapshot(hand) {
+  return {
+    handedness: hand.handedness,
+    isClosed: hand.isClosed,
+    openness: hand.openness,
+    position: hand.position,
+    velocity: hand.velocity,
+    acceleration: hand.acceleration,
+    history: hand.history.slice(),
+    still: hand.stillTime > STILL_AFTER,
+    swipe: hand.swipe,
+    pointer: hand.pointer,
+    pinching: hand.pinching,
+    gesture: hand.gesture,
+    rotation: hand.rotation.clone(),
+    scale: hand.scale
+  };
+}
 
 export class HandTracker {
-  constructor(videoElement) {
+  // options: HAND_TRACKING_DEFAULTS overrides, plus assetBase (see
+  // defaultAssetBase) and loadTimeout (seconds)
+  constructor(videoElement, { assetBase = defaultAssetBase(), loadTimeout = LOAD_TIMEOUT, ...options } = {}) {
     this.videoElement = videoElement;
     this.results = null;
     this.onResultsCallback = null;
-    this.isClosed = false;
-    this.handPosition = { x: 0.5, y: 0.5 };
-    this.rotation = new THREE.Quaternion();
+    this.onSwipeCallback = null;
+    this.onFrameCallback = null;
+    // While a recorded session plays (see sessionRecorder.js) the camera's
+    // results are ignored
+    this.replaying = false;
+    this.sentAt = 0; // When the last camera frame went to the model (ms)
+    this.latency = 0; // Frame sent to results back (ms)
+    // Hands in view (or lost within the grace period), by handedness. The
+    // primary hand drives the single-hand controls; it stays the same hand
+    // while it's in view.
+    this.trackedHands = new Map();
+    this.visibleHands = []; // In the order they appeared
+    this.primary = null;
+    this.options = JSON.parse(JSON.stringify(HAND_TRACKING_DEFAULTS));
+    this.setOptions(options);
+    // Named gesture with confidence over all hands (see gestures.js)
+    this.gesture = { name: 'none', confidence: 0, fingers: 0 };
     
+    this.assetBase = assetBase.endsWith('/') ? assetBase : `${assetBase}/`;
+    this.loadTimeout = loadTimeout;
+    this.loading = null;
+    this.hands = null;
+    this.camera = null;
+  }
+
+  // MediaPipe is only loaded for a camera tracker; one without a video only
+  // replays recorded sessions and never needs it
+  async createPipeline() {
+    if (this.hands) return;
+    const [{ Hands }, { Camera }] = await Promise.all([
+      import('@mediapipe/hands'),
+      import('@mediapipe/camera_utils')
+    ]);
+
     this.hands = new Hands({locateFile: (file) => {
-      return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
+      return `${this.assetBase}${file}`;
     }});
 
     this.hands.setOptions({
-      maxNumHands: 1,
+      maxNumHands: MAX_HANDS,
       modelComplexity: 1,
       minDetectionConfidence: 0.5,
       minTrackingConfidence: 0.5
     });
 
-    this.hands.onResults(this.handleResults.bind(this));
+    this.hands.onResults((results) => {
+      if (this.replaying) return;
+      this.latency = performance.now() - this.sentAt;
+      this.handleResults(results);
+    });
 
     this.camera = new Camera(this.videoElement, {
       onFrame: async () => {
+        this.sentAt = performance.now();
         await this.hands.send({image: this.videoElement});
       },
       width: 640,
@@ -33,27 +168,129 @@ export class HandTracker {
     });
   }
 
-  start() {
-    this.camera.start();
+  // Loads the model, then starts the camera. Rejects if either fails.
+  async start() {
+    await this.loadModel();
+    await this.camera.start();
+  }
+
+  // Resolves once the hand model is ready. Rejects with a readable error if
+  // the files aren't at assetBase or loading takes over loadTimeout seconds
+  // (a failed wasm load can hang instead of failing).
+  loadModel() {
+    if (!this.videoElement) return Promise.reject(new Error('Hand tracker has no video to track'));
+    if (!this.loading) {
+      const load = this.checkAssets()
+        .then(() => this.createPipeline())
+        .then(() => this.hands.initialize());
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          reject(new Error(`Hand tracking model didn't load within ${this.loadTimeout}s (from ${this.assetBase})`));
+        }, this.loadTimeout * 1000);
+      });
+      this.loading = Promise.race([load, timeout]).finally(() => clearTimeout(timer));
+      // Let a later call try again
+      this.loading.catch(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  // A missing file otherwise shows up as an obscure wasm error, or not at all
+  async checkAssets() {
+    const url = `${this.assetBase}hands_solution_packed_assets_loader.js`;
+    let response;
+    try {
+      response = await fetch(url, { method: 'HEAD' });
+    } catch (err) {
+      throw new Error(`Can't reach the hand tracking files at ${this.assetBase}: ${err.message}`);
+    }
+    // Dev servers and SPA hosts answer unknown paths with index.html
+    const type = response.headers.get('Content-Type') || '';
+    if (!response.ok || type.includes('text/html')) {
+      throw new Error(`Hand tracking files not found at ${this.assetBase} (${response.status})`);
+    }
+  }
+
+  // Merges into the current options (nested filter settings too) and
+  // retunes the filters of hands being tracked
+  setOptions(options = {}) {
+    Object.entries(options).forEach(([key, value]) => {
+      if (FILTERED.includes(key)) Object.assign(this.options[key], value);
+      else if (value !== undefined) this.options[key] = value;
+    });
+    this.trackedHands.forEach(hand => {
+      FILTERED.forEach(name => hand.filters[name].setOptions(this.options[name]));
+    });
   }
 
-  handleResults(results) {
+  // One frame of MediaPipe results. time (seconds) defaults to now; replays
+  // pass the recorded one so the filters see the same timing.
+  handleResults(results, time = performance.now() / 1000) {
     this.results = results;
-    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-      const landmarks = results.multiHandLandmarks[0];
-      this.updateHandState(landmarks);
-      if (this.onResultsCallback) {
-        this.onResultsCallback(this.getState());
+    const now = time;
+    const allLandmarks = results.multiHandLandmarks || [];
+    const labels = [];
+    allLandmarks.forEach((landmarks, i) => {
+      const handedness = results.multiHandedness && results.multiHandedness[i];
+      let label = handedness ? handedness.label : 'Hand';
+      // Two hands with the same label (misdetection) get their own slot
+      if (labels.includes(label)) label = `${label} ${i}`;
+      labels.push(label);
+      let hand = this.trackedHands.get(label);
+      if (!hand) {
+        hand = createHandState(label, this.options);
+        this.trackedHands.set(label, hand);
       }
+      hand.lastSeen = now;
+      hand.landmarks = landmarks;
+      // The pinch check needs the classifier's scores to tell a grab from OK
+      hand.gesture = classifyHand(landmarks);
+      this.updateHandState(hand, landmarks, now);
+    });
+
+    // A hand missing for a moment (blur, edge of the frame) keeps its last
+    // state; after the grace period it's gone and starts fresh next time
+    this.trackedHands.forEach((hand, label) => {
+      if (now - hand.lastSeen > this.options.lostGrace) this.trackedHands.delete(label);
+      else if (hand.lastSeen !== now) hand.swipe = null;
+    });
+    const hands = Array.from(this.trackedHands.values());
+    this.visibleHands = hands;
+    if (!hands.includes(this.primary)) this.primary = hands[0] || null;
+
+    if (this.primary) {
+      // Primary first, so the one-hand part of the gesture is its own
+      const ordered = [this.primary, ...hands.filter(hand => hand !== this.primary)];
+      this.gesture = classifyHands(ordered.map(hand => hand.landmarks));
     } else {
-        // No hand detected
-        if (this.onResultsCallback) {
-            this.onResultsCallback(null);
-        }
+      // No hand detected
+      this.gesture = { name: 'none', confidence: 0, fingers: 0 };
+    }
+
+    if (this.onSwipeCallback) {
+      hands.forEach(hand => {
+        if (hand.swipe) this.onSwipeCallback({ ...hand.swipe, handedness: hand.handedness });
+      });
+    }
+    const state = this.getState();
+    if (this.onFrameCallback) this.onFrameCallback(results, now, state);
+    if (this.onResultsCallback) {
+      this.onResultsCallback(state);
     }
   }
 
-  updateHandState(landmarks) {
+  // Forget every hand, as if none had been seen, and report that
+  reset() {
+    this.trackedHands.clear();
+    this.visibleHands = [];
+    this.primary = null;
+    this.gesture = { name: 'none', confidence: 0, fingers: 0 };
+    if (this.onResultsCallback) this.onResultsCallback(null);
+  }
+
+  // Per-hand pose from its landmarks, written into `hand` (see createHandState)
+  updateHandState(hand, landmarks, time) {
     // 0 is wrist
     // Tips: 8 (Index), 12 (Middle), 16 (Ring), 20 (Pinky)
     // MCPs (Knuckles): 5, 9, 13, 17
@@ -85,10 +322,19 @@ export class HandTracker {
     avgMcpDist /= 4;
 
     // Heuristic: If tips are closer to wrist than some factor of knuckle distance, it's closed.
-    this.isClosed = avgTipDist < (avgMcpDist * 1.3);
+    // A pinching hand curls its index, but it's still an open hand.
+    hand.openness = avgTipDist / avgMcpDist;
+    this.updatePinch(hand, landmarks);
+    this.updateClosed(hand, hand.pinching ? Infinity : hand.openness, time);
 
     // Update hand position (center of palm approx)
-    this.handPosition = { x: 1 - landmarks[9].x, y: landmarks[9].y }; // Mirror x
+    const rawPosition = { x: 1 - landmarks[9].x, y: landmarks[9].y }; // Mirror x
+    // Velocity from the raw position: the filter would delay swipes
+    this.updateMotion(hand, rawPosition, time);
+    const [px, py] = hand.filters.position.filter([rawPosition.x, rawPosition.y], time);
+    hand.position = { x: px, y: py };
+    const [tx, ty] = hand.filters.pointer.filter([1 - landmarks[8].x, landmarks[8].y], time);
+    hand.pointer = { x: tx, y: ty };
     
     // Calculate Hand Scale (Depth Estimation)
     // Use distance between Wrist (0) and Middle Finger MCP (9)
@@ -99,7 +345,7 @@ export class HandTracker {
         Math.pow(landmarks[9].y - landmarks[0].y, 2)
     );
     // Typical range: 0.1 (far) to 0.4 (very close)
-    this.handScale = wristToMiddleDist;
+    hand.scale = hand.filters.scale.filter([wristToMiddleDist], time)[0];
 
     // Calculate Rotation
     // Vector 1: Wrist to Middle Finger MCP (Palm Up/Down axis basically) -> Y axis
@@ -168,19 +414,118 @@ export class HandTracker {
     // Construct Matrix
     const matrix = new THREE.Matrix4();
     matrix.makeBasis(xAxis, yAxisFinal, zAxis);
-    this.rotation.setFromRotationMatrix(matrix);
+    const raw = new THREE.Quaternion().setFromRotationMatrix(matrix);
+    // q and -q are the same rotation; keep the sign continuous so the
+    // filter doesn't average across the flip
+    if (raw.dot(hand.rawRotation) < 0) raw.set(-raw.x, -raw.y, -raw.z, -raw.w);
+    hand.rawRotation.copy(raw);
+    const [qx, qy, qz, qw] = hand.filters.rotation.filter([raw.x, raw.y, raw.z, raw.w], time);
+    hand.rotation.set(qx, qy, qz, qw).normalize();
+  }
+
+  // Hysteresis plus a dwell time, so a half-closed hand doesn't make the
+  // scene flicker between shape and cloud
+  updateClosed(hand, ratio, time) {
+    const { closeRatio, openRatio, dwell } = this.options;
+    const closed = hand.isClosed ? ratio < openRatio : ratio < closeRatio;
+    if (closed === hand.isClosed) {
+      hand.pendingSince = null;
+      return;
+    }
+    if (hand.pendingSince === null) hand.pendingSince = time;
+    if (time - hand.pendingSince >= dwell) {
+      hand.isClosed = closed;
+      hand.pendingSince = null;
+    }
   }
 
+  // Thumb and index tips touching, with the index still reaching out (a
+  // fist brings the tips together too). The OK pose touches the tips as
+  // well, so a grab only starts when the other fingers read as a pinch.
+  updatePinch(hand, landmarks) {
+    const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+    const palm = Math.max(dist(landmarks[0], landmarks[9]), 1e-6);
+    const gap = dist(landmarks[4], landmarks[8]) / palm;
+    const reaching = dist(landmarks[0], landmarks[8]) / palm > 0.9;
+    if (hand.pinching) hand.pinching = gap < this.options.releaseRatio;
+    else {
+      const { scores } = hand.gesture;
+      hand.pinching = !hand.isClosed && reaching && gap < this.options.pinchRatio && scores.pinch > scores.ok;
+    }
+  }
+
+  updateMotion(hand, { x, y }, time) {
+    const last = hand.history[hand.history.length - 1];
+    hand.history.push({ x, y, time });
+    while (time - hand.history[0].time > HISTORY_TIME) hand.history.shift();
+    hand.swipe = null;
+    if (!last) return;
+
+    const dt = time - last.time;
+    if (dt <= 0 || dt > 0.25) return; // Skip stalls
+    const k = 0.5; // Smoothing: landmarks jitter frame to frame
+    const previous = hand.velocity;
+    hand.velocity = {
+      x: previous.x + ((x - last.x) / dt - previous.x) * k,
+      y: previous.y + ((y - last.y) / dt - previous.y) * k
+    };
+    hand.acceleration = {
+      x: hand.acceleration.x + ((hand.velocity.x - previous.x) / dt - hand.acceleration.x) * k,
+      y: hand.acceleration.y + ((hand.velocity.y - previous.y) / dt - hand.acceleration.y) * k
+    };
+
+    const speed = Math.hypot(hand.velocity.x, hand.velocity.y);
+    hand.stillTime = speed < STILL_SPEED ? hand.stillTime + dt : 0;
+    hand.swipe = this.detectSwipe(hand, time, speed);
+  }
+
+  detectSwipe(hand, time, speed) {
+    const { swipeDistance, swipeSpeed, swipeWindow, swipeCooldown } = this.options;
+    if (hand.isClosed || speed < swipeSpeed || time - hand.lastSwipe < swipeCooldown) return null;
+
+    const recent = hand.history.filter(sample => time - sample.time <= swipeWindow);
+    if (recent.length < 3) return null;
+    const first = recent[0];
+    const last = recent[recent.length - 1];
+    const dx = last.x - first.x;
+    const dy = last.y - first.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance < swipeDistance) return null;
+
+    // Diagonal moves don't count
+    let direction;
+    if (Math.abs(dx) > 2 * Math.abs(dy)) direction = dx > 0 ? 'right' : 'left';
+    else if (Math.abs(dy) > 2 * Math.abs(dx)) direction = dy > 0 ? 'down' : 'up';
+    else return null;
+
+    hand.lastSwipe = time;
+    return { direction, speed, distance };
+  }
+
+  // The primary hand's fields at the top level (the single-hand API), plus
+  // every visible hand in `hands`. `gesture` covers all hands, so two-hand
+  // gestures (heart) show up there. Null without hands.
   getState() {
+    if (!this.primary) return null;
     return {
-      isClosed: this.isClosed,
-      position: this.handPosition,
-      rotation: this.rotation,
-      scale: this.handScale || 0.2 // Default to 0.2 if undefined
+      ...handSnapshot(this.primary),
+      gesture: this.gesture,
+      hands: this.visibleHands.map(handSnapshot)
     };
   }
 
   setOnResults(callback) {
     this.onResultsCallback = callback;
   }
+
+  // callback({ direction: 'left' | 'right' | 'up' | 'down', speed, distance, handedness })
+  setOnSwipe(callback) {
+    this.onSwipeCallback = callback;
+  }
+
+  // callback(results, time, state) for every frame: the raw MediaPipe results,
+  // the time handleResults used and what getState() returned (for recording)
+  setOnFrame(callback) {
+    this.onFrameCallback = callback;
+  }
 }
@@ -0,0 +1,96 @@
+import { registerShape, sampleMask } from './shapes.js';
+
+// Image shape: turn a dropped image (logo, pet photo, sketch) into a
+// silhouette. Particles take their color from the source pixels and the
+// brightness drives a relief so the result has depth when rotated.
+
+const MAX_SIZE = 256; // Mask resolution - plenty for 90k particles
+
+const luminance = (r, g, b) => (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+
+function rasterizeImage(image) {
+  const w = image.naturalWidth || image.width;
+  const h = image.naturalHeight || image.height;
+  const scale = Math.min(1, MAX_SIZE / Math.max(w, h));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(w * scale));
+  canvas.height = Math.max(1, Math.round(h * scale));
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// Average color of the border pixels - our guess at the background
+function borderColor({ width, height, data }) {
+  let r = 0, g = 0, b = 0, n = 0;
+  const add = (x, y) => {
+    const o = (y * width + x) * 4;
+    r += data[o]; g += data[o + 1]; b += data[o + 2]; n++;
+  };
+  for (let x = 0; x < width; x++) { add(x, 0); add(x, height - 1); }
+  for (let y = 1; y < height - 1; y++) { add(0, y); add(width - 1, y); }
+  return [r / n, g / n, b / n];
+}
+
+function hasTransparency({ data }) {
+  let transparent = 0;
+  for (let o = 3; o < data.length; o += 4) {
+    if (data[o] < 128) transparent++;
+  }
+  // A few stray pixels don't make a cut-out
+  return transparent > data.length / 4 * 0.02;
+}
+
+// Pick the coverage function for a mask mode:
+//   alpha     - transparent PNG cut-outs
+//   luminance - bright subject on a dark background
+//   auto      - alpha if the image has transparency, otherwise distance
+//               from the border (background) color
+export function createImageMask(image, mode = 'auto') {
+  if (mode === 'alpha' || (mode === 'auto' && hasTransparency(image))) {
+    return (r, g, b, a) => a / 255;
+  }
+  if (mode === 'luminance') {
+    return (r, g, b, a) => luminance(r, g, b) * (a / 255);
+  }
+  const [br, bg, bb] = borderColor(image);
+  return (r, g, b, a) => {
+    const diff = Math.sqrt((r - br) ** 2 + (g - bg) ** 2 + (b - bb) ** 2) / 441.7; // 441.7 = max RGB distance
+    return Math.min(1, diff * 3) * (a / 255);
+  };
+}
+
+registerShape('image', {
+  // options: { image (HTMLImageElement/canvas/ImageBitmap), mode, depth }
+  // The image is drawn to pixels on the main thread; sampling can run in
+  // the shape worker.
+  prepare(options = {}) {
+    const { image, mode = 'auto', depth = 4 } = options;
+    if (!image) {
+      throw new Error('Image shape needs options.image');
+    }
+    return { mode, depth, image: rasterizeImage(image) };
+  },
+  input: {
+    kind: 'file',
+    accept: 'image',
+    options: ({ file, relief, mask }) => ({ image: file, depth: relief, mode: mask })
+  },
+  generate(ctx) {
+    const { image: data, mode, depth } = ctx.options;
+    const mask = createImageMask(data, mode);
+    const filled = sampleMask(data, ctx, {
+      depth,
+      mask,
+      threshold: 0.25,
+      edgeRatio: 0.15,
+      relief: (r, g, b) => luminance(r, g, b),
+      pixelColors: true
+    });
+
+    if (!filled) {
+      throw new Error('No silhouette found in image');
+    }
+  }
+});
@@ -0,0 +1,321 @@
+import * as THREE from 'three';
+import { createLogger } from './logger.js';
+
+const log = createLogger('input');
+
+// Where the "hand" comes from. Every provider produces the state the
+// tracker does (what ParticleSystem.update and the sequencer read):
+//   { source, isClosed, position: {x, y} (0..1 of the screen), rotation
+//     (THREE.Quaternion), scale (0.1 far .. 0.3 close), velocity, still }
+// plus, for the fallbacks, active (a button, finger or key is down).
+// The camera hand wins while it's in view. Without a camera, or once the
+// hand has been gone for a while, the mouse, touch or keyboard take over,
+// whichever was used last.
+
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 0.3;
+const DEFAULT_SCALE = 0.2;
+const STILL_SPEED = 0.15; // Same as the hand tracker
+const STILL_AFTER = 0.4;
+const HAND_TIMEOUT = 2.0; // Seconds without a hand before the fallbacks take over
+const FALLBACK_IDLE = 1.5; // Seconds after the last input that a fallback lets go
+
+const HOLD_TIME = 0.25; // Mouse button held this long (s) makes a fist
+const LONG_PRESS = 0.5; // Same for a still finger
+const MOVE_TOLERANCE = 10; // Pixels a long press may drift
+const KEY_SPEED = 0.6; // Screens per second
+const KEY_ROLL_SPEED = 1.5; // Radians per second
+const KEY_SCALE_SPEED = 0.1; // Per second
+const KEYS = [' ', 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'q', 'e', '+', '=', '-'];
+
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+export const INPUT_SOURCES = {
+  hand: { label: 'Hand', icon: '✋' },
+  mouse: { label: 'Mouse', icon: '🖱️' },
+  touch: { label: 'Touch', icon: '👆' },
+  keyboard: { label: 'Keyboard', icon: '⌨️' }
+};
+
+function clampScale(scale) {
+  return Math.max(MIN_SCALE, Math.min(MAX_SCALE, scale));
+}
+
+function now() {
+  return performance.now() / 1000;
+}
+
+// Shared state and motion bookkeeping for the fallback providers
+class InputProvider {
+  constructor(source) {
+    this.source = source;
+    this.lastInput = -Infinity; // Seconds (performance.now) of the last user input
+    this.isClosed = false;
+    this.position = { x: 0.5, y: 0.5 };
+    this.roll = 0; // Radians, counterclockwise on screen
+    this.scale = DEFAULT_SCALE;
+    this.velocity = { x: 0, y: 0 };
+    this.stillTime = 0;
+    this.lastPosition = { ...this.position };
+    this.listeners = [];
+  }
+
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push(() => target.removeEventListener(type, handler, options));
+  }
+
+  used() {
+    this.lastInput = now();
+  }
+
+  // A button, finger or key is down right now
+  get active() {
+    return false;
+  }
+
+  // Per frame, after the subclass has updated its fields
+  update(dt) {
+    if (dt <= 0) return;
+    const k = 0.5; // Same smoothing as the tracker's palm velocity
+    this.velocity = {
+      x: this.velocity.x + ((this.position.x - this.lastPosition.x) / dt - this.velocity.x) * k,
+      y: this.velocity.y + ((this.position.y - this.lastPosition.y) / dt - this.velocity.y) * k
+    };
+    this.lastPosition = { ...this.position };
+    const speed = Math.hypot(this.velocity.x, this.velocity.y);
+    this.stillTime = speed < STILL_SPEED ? this.stillTime + dt : 0;
+  }
+
+  getState() {
+    return {
+      source: this.source,
+      isClosed: this.isClosed,
+      position: { ...this.position },
+      rotation: new THREE.Quaternion().setFromAxisAngle(Z_AXIS, this.roll),
+      scale: this.scale,
+      velocity: { ...this.velocity },
+      still: this.stillTime > STILL_AFTER,
+      active: this.active,
+      gesture: null
+    };
+  }
+
+  dispose() {
+    this.listeners.forEach(remove => remove());
+    this.listeners = [];
+  }
+}
+
+// Move to move the cloud, hold the button to make a fist (a quick click stays
+// a click, for the photos), wheel to scale. Pointer events rather than mouse
+// events: browsers emulate mouse events after a tap, and those shouldn't
+// switch the source away from touch.
+export class MouseInput extends InputProvider {
+  constructor(element) {
+    super('mouse');
+    this.pressedAt = null;
+
+    this.listen(window, 'pointermove', (e) => {
+      if (e.pointerType !== 'mouse') return;
+      this.position = { x: e.clientX / window.innerWidth, y: e.clientY / window.innerHeight };
+      this.used();
+    });
+    this.listen(element, 'pointerdown', (e) => {
+      if (e.pointerType !== 'mouse' || e.button !== 0) return;
+      this.pressedAt = now();
+      this.used();
+    });
+    this.listen(window, 'pointerup', (e) => {
+      if (e.pointerType !== 'mouse') return;
+      if (this.pressedAt !== null) this.used();
+      this.pressedAt = null;
+    });
+    this.listen(element, 'wheel', (e) => {
+      this.scale = clampScale(this.scale * Math.exp(-e.deltaY * 0.001));
+      this.used();
+    }, { passive: true });
+  }
+
+  get active() {
+    return this.pressedAt !== null;
+  }
+
+  update(dt) {
+    this.isClosed = this.pressedAt !== null && now() - this.pressedAt >= HOLD_TIME;
+    super.update(dt);
+  }
+}
+
+// One finger drags the cloud, a long press makes a fist; two fingers hold the
+// shape, pinch to scale and twist to roll it
+export class TouchInput extends InputProvider {
+  constructor(element) {
+    super('touch');
+    this.touches = [];
+    this.pressedAt = null;
+    this.pressStart = null;
+    this.twoFinger = null; // Distance, angle, scale and roll when the second finger landed
+
+    const read = (e) => Array.from(e.touches).map(t => ({ x: t.clientX, y: t.clientY }));
+    const onTouch = (e) => {
+      const touches = read(e);
+      if (touches.length !== this.touches.length) this.startTouches(touches);
+      this.touches = touches;
+      this.used();
+    };
+    this.listen(element, 'touchstart', onTouch, { passive: true });
+    this.listen(element, 'touchmove', (e) => {
+      e.preventDefault(); // No page scroll or zoom while steering
+      onTouch(e);
+    }, { passive: false });
+    this.listen(element, 'touchend', onTouch, { passive: true });
+    this.listen(element, 'touchcancel', onTouch, { passive: true });
+  }
+
+  startTouches(touches) {
+    this.pressedAt = touches.length === 1 ? now() : null;
+    this.pressStart = touches.length === 1 ? { ...touches[0] } : null;
+    this.twoFinger = null;
+    if (touches.length >= 2) {
+      const [a, b] = touches;
+      this.twoFinger = {
+        distance: Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1),
+        angle: Math.atan2(b.y - a.y, b.x - a.x),
+        scale: this.scale,
+        roll: this.roll
+      };
+    }
+  }
+
+  get active() {
+    return this.touches.length > 0;
+  }
+
+  update(dt) {
+    const touches = this.touches;
+    if (touches.length === 0) {
+      this.isClosed = false;
+    } else if (touches.length === 1) {
+      const t = touches[0];
+      this.position = { x: t.x / window.innerWidth, y: t.y / window.innerHeight };
+      // Once closed, dragging moves the shape; before that, moving cancels
+      if (this.pressStart && Math.hypot(t.x - this.pressStart.x, t.y - this.pressStart.y) > MOVE_TOLERANCE) {
+        this.pressStart = null;
+      }
+      if (this.pressStart && now() - this.pressedAt >= LONG_PRESS) this.isClosed = true;
+    } else {
+      const [a, b] = touches;
+      const start = this.twoFinger;
+      const distance = Math.hypot(b.x - a.x, b.y - a.y);
+      const angle = Math.atan2(b.y - a.y, b.x - a.x);
+      this.position = { x: (a.x + b.x) / 2 / window.innerWidth, y: (a.y + b.y) / 2 / window.innerHeight };
+      this.scale = clampScale(start.scale * distance / start.distance);
+      // Screen y points down, so a clockwise twist is a growing angle
+      this.roll = start.roll - (angle - start.angle);
+      this.isClosed = true;
+    }
+    super.update(dt);
+  }
+}
+
+// Space = fist, arrows move, Q/E roll, +/- scale. Ignored while typing.
+export class KeyboardInput extends InputProvider {
+  constructor() {
+    super('keyboard');
+    this.pressed = new Set();
+
+    const typing = (e) => e.target instanceof HTMLElement &&
+      (e.target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName));
+    this.listen(window, 'keydown', (e) => {
+      const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+      if (!KEYS.includes(key) || typing(e) || e.ctrlKey || e.metaKey || e.altKey) return;
+      e.preventDefault(); // Arrows scroll, space presses the focused button
+      this.pressed.add(key);
+      this.used();
+    });
+    this.listen(window, 'keyup', (e) => {
+      this.pressed.delete(e.key.length === 1 ? e.key.toLowerCase() : e.key);
+    });
+    // Keyups are lost while the window is in the background
+    this.listen(window, 'blur', () => this.pressed.clear());
+  }
+
+  get active() {
+    return this.pressed.size > 0;
+  }
+
+  update(dt) {
+    const held = (key) => this.pressed.has(key) ? 1 : 0;
+    const move = KEY_SPEED * dt;
+    this.position = {
+      x: Math.max(0, Math.min(1, this.position.x + (held('ArrowRight') - held('ArrowLeft')) * move)),
+      y: Math.max(0, Math.min(1, this.position.y + (held('ArrowDown') - held('ArrowUp')) * move))
+    };
+    this.roll += (held('q') - held('e')) * KEY_ROLL_SPEED * dt;
+    const grow = Math.max(held('+'), held('=')) - held('-');
+    this.scale = clampScale(this.scale + grow * KEY_SCALE_SPEED * dt);
+    this.isClosed = this.pressed.has(' ');
+    if (this.pressed.size > 0) this.used();
+    super.update(dt);
+  }
+}
+
+// Picks the provider that drives the scene each frame. Feed it the hand
+// tracker's results with setHandData, and tell it with setHandAvailable(false)
+// when the camera or model failed.
+export class InputManager {
+  constructor(element, { handTimeout = HAND_TIMEOUT } = {}) {
+    this.handTimeout = handTimeout;
+    this.handAvailable = true;
+    this.handData = null;
+    this.handSeen = -Infinity; // When a hand was last in view
+    this.fallbacks = [new MouseInput(element), new TouchInput(element), new KeyboardInput()];
+    this.source = null; // Name of the provider in control, null for none
+    this.lastSource = null; // The last non-null source, kept through idle gaps
+    this.onChange = null; // (source, lastSource) => {}
+  }
+
+  // HandTracker.setOnResults data (null without a hand)
+  setHandData(data) {
+    this.handData = data;
+    if (data) this.handSeen = now();
+  }
+
+  setHandAvailable(available) {
+    this.handAvailable = available;
+    if (!available) this.handData = null;
+  }
+
+  // Returns the current hand state, or null if nothing drives the scene
+  update(dt) {
+    this.fallbacks.forEach(provider => provider.update(dt));
+
+    let state = null;
+    if (this.handData) {
+      state = { ...this.handData, source: 'hand' };
+    } else if (!this.handAvailable || now() - this.handSeen > this.handTimeout) {
+      // The fallback used most recently, if any was used since the hand left.
+      // It only drives the scene while held or just after being used; a mouse
+      // resting on the page is nobody's hand.
+      const latest = this.fallbacks.reduce((a, b) => (b.lastInput > a.lastInput ? b : a));
+      const recent = now() - latest.lastInput < FALLBACK_IDLE;
+      if (latest.lastInput > this.handSeen && (latest.active || recent)) state = latest.getState();
+    }
+
+    const source = state ? state.source : null;
+    if (source !== this.source) {
+      // A fallback that idles out and comes back is the same source, not a switch
+      const lastSource = this.lastSource;
+      this.source = source;
+      if (source) this.lastSource = source;
+      if (source && source !== lastSource) log.info(`Input: ${INPUT_SOURCES[source].label}`);
+      if (this.onChange) this.onChange(source, lastSource);
+    }
+    return state;
+  }
+
+  dispose() {
+    this.fallbacks.forEach(provider => provider.dispose());
+  }
+}
@@ -0,0 +1,35 @@
+// Leveled console logging, silent by default. Each module makes its own
+// logger with a scope that prefixes its messages:
+//   const log = createLogger('quality');
+//   log.info('stepping down');  // -> [quality] stepping down
+// Turn it up with setLogLevel('debug') (main.js maps ?log=... and ?debug=1).
+
+export const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+const METHODS = { error: 'error', warn: 'warn', info: 'log', debug: 'debug' };
+
+let level = 0; // Index into LOG_LEVELS
+
+export function setLogLevel(name) {
+  const index = LOG_LEVELS.indexOf(name);
+  if (index === -1) {
+    console.warn(`Unknown log level "${name}" (one of ${LOG_LEVELS.join(', ')})`);
+    return;
+  }
+  level = index;
+}
+
+export function getLogLevel() {
+  return LOG_LEVELS[level];
+}
+
+export function createLogger(scope) {
+  const logger = {};
+  Object.entries(METHODS).forEach(([name, method]) => {
+    const threshold = LOG_LEVELS.indexOf(name);
+    logger[name] = (...args) => {
+      if (level >= threshold) console[method](`[${scope}]`, ...args);
+    };
+  });
+  return logger;
+}
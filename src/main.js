@@ -1,7 +1,23 @@
+import '@fontsource/mountains-of-christmas/400.css';
+import '@fontsource/mountains-of-christmas/700.css';
 import './style.css';
 import { ParticleSystem } from './particleSystem.js';
 import { HandTracker } from './handTracking.js';
 import { UI } from './ui.js';
+import { ShapeSequencer } from './sequencer.js';
+import { QualityController } from './quality.js';
+import { GestureActions } from './gestures.js';
+import { InputManager, INPUT_SOURCES } from './inputProviders.js';
+import { SessionRecorder, SessionPlayer } from './sessionRecorder.js';
+import { Calibration } from './calibration.js';
+import birthdayShow from './shows/birthday.json';
+import './textShape.js';
+import './imageShape.js';
+import './modelShape.js';
+import { DebugHud } from './debugHud.js';
+import { createLogger, setLogLevel } from './logger.js';
+
+const log = createLogger('main');
 
 async function init() {
   const canvas = document.getElementById('output_canvas');
@@ -9,16 +25,69 @@ async function init() {
   const loading = document.getElementById('loading');
 
   // Init Components
-  const particleSystem = new ParticleSystem(canvas);
-  const ui = new UI(particleSystem);
+  // ?seed=... reproduces a saved particle layout exactly
+  // ?physics=1 starts in GPU simulation mode
+  const params = new URLSearchParams(window.location.search);
+  // ?log=error|warn|info|debug turns console logging on (silent by default);
+  // ?debug=1 also opens the debug overlay
+  const debug = params.get('debug') === '1';
+  setLogLevel(params.get('log') || (debug ? 'debug' : 'silent'));
+  const particleSystem = new ParticleSystem(canvas, {
+    seed: params.get('seed') ?? undefined,
+    simulation: params.get('physics') === '1'
+  });
+  const sequencer = new ShapeSequencer(particleSystem);
+  // ?quality=low|medium|high pins the quality tier (default: adapts to the frame rate)
+  const quality = new QualityController(particleSystem, { mode: params.get('quality') || 'auto' });
+  // Held gestures trigger actions (bindings are editable in the Gestures panel)
+  const gestures = new GestureActions();
   const handTracker = new HandTracker(videoElement);
+  // Record/replay hand tracking sessions (Session panel)
+  const recorder = new SessionRecorder(handTracker);
+  const player = new SessionPlayer(handTracker);
+  // Per-user hand ranges (Calibrate button); UI loads the stored profile
+  const calibration = new Calibration();
+  const ui = new UI(particleSystem, { sequencer, quality, gestures, recorder, player, calibration, handTracker });
+
+  // Show: ?show=/path/to/show.json, otherwise the bundled birthday show
+  const showUrl = params.get('show');
+  try {
+    sequencer.load(showUrl ? await (await fetch(showUrl)).json() : birthdayShow);
+  } catch (err) {
+    log.error("Failed to load show:", err);
+    sequencer.load(birthdayShow);
+  }
+
+  // Camera hand, with mouse/touch/keyboard taking over when it's missing
+  const inputs = new InputManager(canvas);
+  inputs.onChange = (source, lastSource) => {
+    if (!source) return;
+    loading.style.opacity = '0';
+    const { icon, label } = INPUT_SOURCES[source];
+    if (source !== 'hand' && source !== lastSource) ui.showToast(`${icon} ${label} control`);
+  };
+
+  // Camera feed with the hand skeleton and live values; D toggles it
+  const hud = new DebugHud({ handTracker, particleSystem, inputs });
+  if (debug) hud.toggle(true);
+  window.addEventListener('keydown', (e) => {
+    if (e.key.toLowerCase() !== 'd' || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+    hud.toggle();
+  });
 
   // Animation Loop
   let lastTime = performance.now();
-  let handData = null;
+
+  // swipeLeft/Right/Up/Down, bound like the held gestures
+  handTracker.setOnSwipe((swipe) => {
+    if (calibration.active) return;
+    const name = `swipe${swipe.direction[0].toUpperCase()}${swipe.direction.slice(1)}`;
+    gestures.trigger(name);
+  });
 
   handTracker.setOnResults((data) => {
-    handData = data;
+    inputs.setHandData(data);
     loading.style.opacity = '0'; // Hide loading once hands start working (or cameras starts)
   });
 
@@ -26,19 +95,55 @@ async function init() {
     const now = performance.now();
     const dt = (now - lastTime) / 1000;
     lastTime = now;
+    quality.update(dt);
+    const handData = inputs.update(dt);
 
-    particleSystem.update(dt, handData);
+    // While a show plays it drives the scene; the hand only sends gestures
+    const showDriving = sequencer.update(dt, handData);
+    const gesture = handData ? handData.gesture : null;
+    // Calibration only measures the camera hand
+    calibration.update(dt, handData && handData.source === 'hand' ? handData : null);
+    // Don't fire actions while a photo is held or while calibrating
+    gestures.update(dt, calibration.active || particleSystem.popupState.held ? null : gesture);
+    ui.setGesture(gesture);
+    particleSystem.update(dt, showDriving ? null : handData);
+    hud.update(dt, handData);
 
     requestAnimationFrame(animate);
   }
 
-  // Start
+  // ?replay=/path/to/session.json loops a recorded session instead of the
+  // camera (?replaySpeed=2 for double speed)
+  const replayUrl = params.get('replay');
+  if (replayUrl) {
+    try {
+      const session = await (await fetch(replayUrl)).json();
+      player.play(session, { speed: Number(params.get('replaySpeed')) || 1, loop: true });
+    } catch (err) {
+      log.error("Failed to load session:", err);
+    }
+  }
+
+  // Start. The scene runs without a camera too; the fallbacks drive it then.
+  animate();
+  try {
+    await handTracker.loadModel();
+  } catch (err) {
+    log.error("Failed to load hand tracking:", err);
+    handFailed("Couldn't load the hand tracking model.");
+    return;
+  }
   try {
     await handTracker.start();
-    animate();
   } catch (err) {
-    console.error("Failed to start hand tracking:", err);
-    loading.innerText = "Error accessing camera. Please allow camera access.";
+    log.error("Failed to start hand tracking:", err);
+    handFailed("No camera access.");
+  }
+
+  function handFailed(message) {
+    inputs.setHandAvailable(false);
+    loading.innerText = `${message} Use the mouse, touch or keyboard instead.`;
+    setTimeout(() => { loading.style.opacity = '0'; }, 4000);
   }
 }
 
@@ -0,0 +1,357 @@
+import * as THREE from 'three';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { MeshSurfaceSampler } from 'three/examples/jsm/math/MeshSurfaceSampler.js';
+import { registerShape, writeColor, writePosition } from './shapes.js';
+
+// Model shape: sample a dropped OBJ / PLY / glTF mesh into target positions.
+// Everything is parsed from local File objects, so it works offline.
+// loadModel() does the async parsing once; the 'model' generator then samples
+// synchronously like every other shape.
+
+export const MODEL_EXTENSIONS = ['obj', 'ply', 'gltf', 'glb'];
+// Side files a .gltf can reference
+const COMPANION_EXTENSIONS = ['bin', 'png', 'jpg', 'jpeg', 'webp', 'ktx2'];
+
+const MODEL_EXTENT = 30; // Longest side in scene units (current shapes are ~±15)
+const TEXTURE_SIZE = 256; // Texture lookups go through a downscaled copy
+const VOLUME_GRID = 64; // Cells per side of the y/z grid that bins triangles for inside tests
+const VOLUME_TRIES = 30; // Random points tried per interior particle
+const VOLUME_GIVE_UP = 2000; // Tries without a single hit: the mesh isn't closed
+
+const extensionOf = (name) => name.split('.').pop().toLowerCase();
+
+export function isModelFile(file) {
+  return MODEL_EXTENSIONS.includes(extensionOf(file.name));
+}
+
+export function isModelCompanionFile(file) {
+  return COMPANION_EXTENSIONS.includes(extensionOf(file.name)) && !file.type.startsWith('image/');
+}
+
+// Read a texture's image into a small pixel buffer for color lookups
+function readTexture(texture) {
+  const image = texture && texture.image;
+  if (!image || !image.width) return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.min(TEXTURE_SIZE, image.width);
+  canvas.height = Math.min(TEXTURE_SIZE, image.height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return {
+    width: canvas.width,
+    height: canvas.height,
+    data: ctx.getImageData(0, 0, canvas.width, canvas.height).data,
+    flipY: texture.flipY
+  };
+}
+
+// Flatten a loaded scene into world-space parts ready for sampling
+function collectParts(root) {
+  root.updateMatrixWorld(true);
+  const meshes = [];
+  const points = [];
+
+  root.traverse((obj) => {
+    if (!obj.geometry || !obj.geometry.getAttribute('position')) return;
+    const geometry = obj.geometry.clone();
+    geometry.applyMatrix4(obj.matrixWorld);
+
+    const material = Array.isArray(obj.material) ? obj.material[0] : obj.material;
+    const part = {
+      geometry,
+      // Plain white is what loaders hand out when there's no material info
+      color: material && material.color && material.color.getHex() !== 0xffffff ? material.color.clone() : null,
+      texture: material && material.map ? readTexture(material.map) : null
+    };
+
+    if (obj.isMesh && (geometry.index || geometry.getAttribute('position').count >= 3)) {
+      if (!geometry.getAttribute('normal')) geometry.computeVertexNormals();
+      part.sampler = new MeshSurfaceSampler(new THREE.Mesh(geometry)).build();
+      part.area = part.sampler.distribution[part.sampler.distribution.length - 1];
+      if (part.area > 0) meshes.push(part);
+    } else {
+      // PLY point clouds and OBJ point/line data - sample the vertices
+      part.area = geometry.getAttribute('position').count;
+      points.push(part);
+    }
+  });
+
+  // Prefer surfaces; fall back to raw vertices for point clouds
+  return meshes.length > 0 ? meshes : points;
+}
+
+// Triangles of every mesh part, binned by their y/z extent so a ray along +x
+// only tests the triangles of its cell. Point-in-mesh is the parity of the
+// crossings of that ray, per part (so overlapping closed parts still work).
+function buildVolume(parts, box) {
+  const triangles = [];
+  parts.forEach((part, partIndex) => {
+    const position = part.geometry.getAttribute('position');
+    const index = part.geometry.index;
+    const count = index ? index.count : position.count;
+    for (let i = 0; i + 2 < count; i += 3) {
+      const vertices = index ? [index.getX(i), index.getX(i + 1), index.getX(i + 2)] : [i, i + 1, i + 2];
+      const [a, b, c] = vertices.map(v => new THREE.Vector3().fromBufferAttribute(position, v));
+      triangles.push({ a, b, c, vertices, part: partIndex });
+    }
+  });
+  if (triangles.length === 0) return null;
+
+  const size = box.getSize(new THREE.Vector3());
+  const cellY = Math.max(size.y, 1e-6) / VOLUME_GRID;
+  const cellZ = Math.max(size.z, 1e-6) / VOLUME_GRID;
+  const cellOf = (y, z) => [
+    Math.max(0, Math.min(VOLUME_GRID - 1, Math.floor((y - box.min.y) / cellY))),
+    Math.max(0, Math.min(VOLUME_GRID - 1, Math.floor((z - box.min.z) / cellZ)))
+  ];
+  const cells = Array.from({ length: VOLUME_GRID * VOLUME_GRID }, () => []);
+  triangles.forEach(tri => {
+    const [y0, z0] = cellOf(Math.min(tri.a.y, tri.b.y, tri.c.y), Math.min(tri.a.z, tri.b.z, tri.c.z));
+    const [y1, z1] = cellOf(Math.max(tri.a.y, tri.b.y, tri.c.y), Math.max(tri.a.z, tri.b.z, tri.c.z));
+    for (let y = y0; y <= y1; y++) {
+      for (let z = z0; z <= z1; z++) cells[y * VOLUME_GRID + z].push(tri);
+    }
+  });
+
+  return {
+    box,
+    cells,
+    cellOf,
+    parity: new Uint8Array(parts.length)
+  };
+}
+
+// Is p inside a closed part? Returns the nearest crossing along +x (the
+// surface the point sits behind, for its color) or null.
+function insideHit(volume, p) {
+  const [cy, cz] = volume.cellOf(p.y, p.z);
+  const parity = volume.parity;
+  let nearest = null;
+  const touched = [];
+  for (const tri of volume.cells[cy * VOLUME_GRID + cz]) {
+    const { a, b, c } = tri;
+    // Barycentrics of p in the triangle projected onto y/z
+    const d = (b.y - a.y) * (c.z - a.z) - (c.y - a.y) * (b.z - a.z);
+    if (Math.abs(d) < 1e-12) continue; // Edge-on to the ray
+    const u = ((p.y - a.y) * (c.z - a.z) - (c.y - a.y) * (p.z - a.z)) / d;
+    const v = ((b.y - a.y) * (p.z - a.z) - (p.y - a.y) * (b.z - a.z)) / d;
+    if (u < 0 || v < 0 || u + v > 1) continue;
+    const x = a.x + u * (b.x - a.x) + v * (c.x - a.x);
+    if (x <= p.x) continue;
+    parity[tri.part] ^= 1;
+    touched.push(tri.part);
+    if (!nearest || x < nearest.x) nearest = { x, tri, u, v };
+  }
+  const inside = touched.some(part => parity[part] === 1);
+  touched.forEach(part => { parity[part] = 0; });
+  return inside ? nearest : null;
+}
+
+const triangleUv = new THREE.Vector2();
+
+// Vertex color and texture at barycentrics (u, v) of a triangle, like
+// MeshSurfaceSampler reports them for surface points. False if the part has
+// neither.
+function triangleColor(part, { tri, u, v }, target, texColor) {
+  const geometry = part.geometry;
+  const [ia, ib, ic] = tri.vertices;
+  const w = 1 - u - v;
+  const vertexColors = geometry.getAttribute('color');
+  const uvs = geometry.getAttribute('uv');
+  let hasColor = false;
+  if (vertexColors) {
+    target.setRGB(
+      vertexColors.getX(ia) * w + vertexColors.getX(ib) * u + vertexColors.getX(ic) * v,
+      vertexColors.getY(ia) * w + vertexColors.getY(ib) * u + vertexColors.getY(ic) * v,
+      vertexColors.getZ(ia) * w + vertexColors.getZ(ib) * u + vertexColors.getZ(ic) * v
+    );
+    hasColor = true;
+  }
+  if (part.texture && uvs) {
+    triangleUv.set(
+      uvs.getX(ia) * w + uvs.getX(ib) * u + uvs.getX(ic) * v,
+      uvs.getY(ia) * w + uvs.getY(ib) * u + uvs.getY(ic) * v
+    );
+    sampleTexture(part.texture, triangleUv, texColor);
+    if (hasColor) target.multiply(texColor);
+    else target.copy(texColor);
+    hasColor = true;
+  }
+  return hasColor;
+}
+
+async function parseFile(file, files) {
+  const ext = extensionOf(file.name);
+
+  if (ext === 'obj') {
+    return new OBJLoader().parse(await file.text());
+  }
+  if (ext === 'ply') {
+    const geometry = new PLYLoader().parse(await file.arrayBuffer());
+    // PLY without faces is a point cloud
+    return geometry.index ? new THREE.Mesh(geometry) : new THREE.Points(geometry);
+  }
+
+  // glTF: resolve external buffers/textures against the other dropped files
+  const urls = new Map();
+  const manager = new THREE.LoadingManager();
+  files.forEach(f => {
+    if (f !== file) urls.set(f.name, URL.createObjectURL(f));
+  });
+  manager.setURLModifier((url) => {
+    const name = decodeURIComponent(url.split('/').pop());
+    return urls.get(name) || url;
+  });
+
+  try {
+    const gltf = await new GLTFLoader(manager).parseAsync(await file.arrayBuffer(), '');
+    return gltf.scene;
+  } finally {
+    urls.forEach(url => URL.revokeObjectURL(url));
+  }
+}
+
+// Load the first model among `files` (other files are used as glTF companions)
+export async function loadModel(files) {
+  const file = files.find(isModelFile);
+  if (!file) {
+    throw new Error('No OBJ, PLY or glTF file found');
+  }
+
+  const root = await parseFile(file, files);
+  const parts = collectParts(root);
+  if (parts.length === 0) {
+    throw new Error(`No geometry found in ${file.name}`);
+  }
+
+  // Normalize: center the bounding box and fit the longest side
+  const box = new THREE.Box3();
+  parts.forEach(part => {
+    part.geometry.computeBoundingBox();
+    box.union(part.geometry.boundingBox);
+  });
+  const size = box.getSize(new THREE.Vector3());
+
+  return {
+    name: file.name,
+    parts,
+    totalArea: parts.reduce((sum, part) => sum + part.area, 0),
+    center: box.getCenter(new THREE.Vector3()),
+    scale: MODEL_EXTENT / Math.max(size.x, size.y, size.z, 1e-6),
+    // For filling the inside; point clouds have none
+    volume: parts[0].sampler ? buildVolume(parts, box) : null
+  };
+}
+
+function sampleTexture(texture, uv, target) {
+  let u = uv.x - Math.floor(uv.x);
+  let v = uv.y - Math.floor(uv.y);
+  if (texture.flipY) v = 1 - v;
+  const x = Math.min(texture.width - 1, Math.floor(u * texture.width));
+  const y = Math.min(texture.height - 1, Math.floor(v * texture.height));
+  const o = (y * texture.width + x) * 4;
+  return target.setRGB(texture.data[o] / 255, texture.data[o + 1] / 255, texture.data[o + 2] / 255, THREE.SRGBColorSpace);
+}
+
+registerShape('model', {
+  // options: { model (from loadModel), volumeRatio (share of particles
+  // filling the inside of closed meshes) }
+  worker: false, // The loaded meshes live on the main thread
+  input: {
+    kind: 'file',
+    accept: 'model',
+    options: ({ file }) => ({ model: file })
+  },
+  generate({ count, positions, colors, color, options, random }) {
+    const { model, volumeRatio = 0.35 } = options || {};
+    if (!model) {
+      throw new Error('Model shape needs options.model');
+    }
+
+    const pos = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const uv = new THREE.Vector2();
+    const sampled = new THREE.Color();
+    const texColor = new THREE.Color();
+
+    // Pick a part per particle by surface area (vertex count for point
+    // clouds), so particle order stays random across parts
+    model.parts.forEach(part => {
+      if (part.sampler) part.sampler.setRandomGenerator(random);
+    });
+    const pickPart = () => {
+      let r = random() * model.totalArea;
+      for (const part of model.parts) {
+        r -= part.area;
+        if (r < 0) return part;
+      }
+      return model.parts[model.parts.length - 1];
+    };
+
+    // Some particles fill the inside so the model reads as solid: random
+    // points in the bounding box, kept if they're inside a closed part
+    const volume = model.volume;
+    const boxSize = volume ? volume.box.getSize(new THREE.Vector3()) : null;
+    let volumeTries = 0;
+    let volumeHits = 0;
+    const sampleInside = () => {
+      for (let t = 0; t < VOLUME_TRIES; t++) {
+        if (volumeHits === 0 && volumeTries >= VOLUME_GIVE_UP) return null;
+        volumeTries++;
+        pos.set(random(), random(), random()).multiply(boxSize).add(volume.box.min);
+        const hit = insideHit(volume, pos);
+        if (hit) {
+          volumeHits++;
+          return hit;
+        }
+      }
+      return null;
+    };
+
+    for (let i = 0; i < count; i++) {
+      const inside = volume && random() < volumeRatio ? sampleInside() : null;
+      let part;
+      let hasSampledColor = false;
+
+      if (inside) {
+        part = model.parts[inside.tri.part];
+        hasSampledColor = triangleColor(part, inside, sampled, texColor);
+      } else {
+        part = pickPart();
+        const geometry = part.geometry;
+        const vertexColors = geometry.getAttribute('color');
+        if (part.sampler) {
+          part.sampler.sample(pos, normal, sampled, uv);
+          hasSampledColor = !!vertexColors;
+          if (part.texture && geometry.getAttribute('uv')) {
+            sampleTexture(part.texture, uv, texColor);
+            if (hasSampledColor) sampled.multiply(texColor);
+            else sampled.copy(texColor);
+            hasSampledColor = true;
+          }
+        } else {
+          const v = Math.floor(random() * geometry.getAttribute('position').count);
+          pos.fromBufferAttribute(geometry.getAttribute('position'), v);
+          if (vertexColors) {
+            sampled.fromBufferAttribute(vertexColors, v);
+            hasSampledColor = true;
+          }
+        }
+      }
+
+      // Normalize into scene space
+      pos.sub(model.center).multiplyScalar(model.scale);
+      writePosition(positions, i, pos.x, pos.y, pos.z);
+
+      if (hasSampledColor) {
+        if (part.color) sampled.multiply(part.color);
+        writeColor(colors, i, sampled);
+      } else {
+        writeColor(colors, i, part.color || color);
+      }
+    }
+  }
+});
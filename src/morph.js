@@ -0,0 +1,36 @@
+// Shape morph timing, shared by the render shader, the GPU simulation and
+// the CPU mirror in ParticleSystem.getMorphProgress().
+
+// Easings for shape morphs. The ids index the same curves in MORPH_GLSL
+// (morphEase) - keep both in sync.
+export const MORPH_EASINGS = {
+  linear: { id: 0, fn: (t) => t },
+  easeInOutCubic: { id: 1, fn: (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2 },
+  easeOutCubic: { id: 2, fn: (t) => 1 - Math.pow(1 - t, 3) },
+  easeOutBack: { id: 3, fn: (t) => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2) }
+};
+
+// Shader chunk. Needs aTargetPos and aRandom in scope.
+export const MORPH_GLSL = `
+        uniform float uMorph;
+        uniform float uMorphStagger;
+        uniform float uMorphEasing;
+
+        // Same curves as MORPH_EASINGS in morph.js
+        float morphEase(float t) {
+            if (uMorphEasing < 0.5) return t;
+            if (uMorphEasing < 1.5) return t < 0.5 ? 4.0 * t * t * t : 1.0 - pow(-2.0 * t + 2.0, 3.0) / 2.0;
+            if (uMorphEasing < 2.5) return 1.0 - pow(1.0 - t, 3.0);
+            float b = t - 1.0;
+            return 1.0 + 2.70158 * b * b * b + 1.70158 * b * b;
+        }
+
+        // Per-particle morph progress: particles start staggered, mostly
+        // sweeping bottom to top with some noise, for a "rebuild" look
+        float morphProgress() {
+            float sweep = clamp(aTargetPos.y / 30.0 + 0.5, 0.0, 1.0);
+            float delay = mix(aRandom.z, sweep, 0.6);
+            float t = clamp(uMorph * (1.0 + uMorphStagger) - delay * uMorphStagger, 0.0, 1.0);
+            return morphEase(t);
+        }
+`;
@@ -0,0 +1,54 @@
+// One Euro filter (Casiez et al. 2012): a low-pass filter whose cutoff rises
+// with speed, so a still hand is smoothed hard (no jitter) while fast moves
+// follow with little lag.
+//   minCutoff - cutoff (Hz) at rest: lower = smoother, laggier when slow
+//   beta      - how fast the cutoff rises with speed: higher = less lag
+//   dCutoff   - cutoff (Hz) for the speed estimate itself
+
+function smoothingFactor(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+export class OneEuroFilter {
+  constructor({ minCutoff = 1.0, beta = 0.0, dCutoff = 1.0 } = {}) {
+    this.setOptions({ minCutoff, beta, dCutoff });
+    this.reset();
+  }
+
+  // { minCutoff, beta, dCutoff }, any subset
+  setOptions(options = {}) {
+    ['minCutoff', 'beta', 'dCutoff'].forEach(key => {
+      if (options[key] !== undefined) this[key] = options[key];
+    });
+  }
+
+  reset() {
+    this.values = null;
+    this.speeds = null;
+    this.time = null;
+  }
+
+  // values: array of numbers (filtered per component), time in seconds.
+  // Returns the filtered values (a new array).
+  filter(values, time) {
+    if (!this.values || this.values.length !== values.length) {
+      this.values = values.slice();
+      this.speeds = values.map(() => 0);
+      this.time = time;
+      return values.slice();
+    }
+
+    const dt = Math.max(time - this.time, 1e-3);
+    this.time = time;
+    const speedAlpha = smoothingFactor(this.dCutoff, dt);
+
+    return values.map((value, i) => {
+      const speed = (value - this.values[i]) / dt;
+      this.speeds[i] += speedAlpha * (speed - this.speeds[i]);
+      const cutoff = this.minCutoff + this.beta * Math.abs(this.speeds[i]);
+      this.values[i] += smoothingFactor(cutoff, dt) * (value - this.values[i]);
+      return this.values[i];
+    });
+  }
+}
@@ -1,8 +1,84 @@
 import * as THREE from 'three';
+import { registerShape, getShape, getShapeNames } from './shapes.js';
+import { Fireworks, FIREWORKS_GLSL, createFireworksUniforms } from './fireworks.js';
+import { createRandom, randomSeed } from './random.js';
+import { ShapeGenerator } from './shapeGenerator.js';
+import { MORPH_EASINGS, MORPH_GLSL } from './morph.js';
+import { GpuSimulation } from './gpuSimulation.js';
+import { PostProcessing, RENDER_LAYERS } from './postProcessing.js';
+import { AmbientSystem, registerAmbientPreset, getAmbientPreset, getAmbientPresetNames } from './ambient.js';
+import {
+  COLOR_MODES, COLOR_PALETTES, COLOR_MODE_DEFAULTS, GRADIENT_AXES, MAX_PALETTE,
+  COLOR_GLSL, createColorUniforms
+} from './colorModes.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('particles');
+
+// Two-hand zoom stops at this ratio of the starting hand distance; pulling
+// further splits the shape in two
+const SPLIT_RATIO = 1.6;
+const MIN_ZOOM = 0.4;
+const MAX_ZOOM = 3.0;
+const ZOOM_RELEASE_RATE = 3.0; // Per second, back to no zoom or roll once the fists open
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+const NO_ROLL = new THREE.Quaternion();
+// Two-hand roll times the hand rotation, reused every frame
+const rollScratch = new THREE.Quaternion();
+// Hand scale (HandTracker's wrist-to-knuckle size) at arm's length and up
+// close, mapped onto the shape size. Calibration replaces it per user.
+const HAND_SCALE_RANGE = { min: 0.1, max: 0.3 };
+// Photo picking: how close (px) to a photo a click or pinch has to be
+const PICK_RADIUS = 40;
+// The fingertip cursor moves on this plane, in front of the cloud
+const CURSOR_PLANE = new THREE.Plane(Z_AXIS, -10);
+
+// Reused by getParticlePos and snapshotMorphStart, which run per particle
+const particleScratch = {
+  targetPos: new THREE.Vector3(),
+  shapePos: new THREE.Vector3(),
+  cloudPos: new THREE.Vector3(),
+  controlPoint: new THREE.Vector3(),
+  direction: new THREE.Vector3(),
+  rotation: new THREE.Quaternion(),
+  color: new THREE.Color()
+};
+
+// GLSL normalize(): the unit vector, zero stays zero
+function normalized(v) {
+  return particleScratch.direction.copy(v).normalize();
+}
 
 export class ParticleSystem {
-  constructor(canvas) {
+  // Register a closed-fist target shape. See shapes.js for the generator contract.
+  static registerShape(name, generator) {
+    return registerShape(name, generator);
+  }
+
+  static getShapes() {
+    return getShapeNames().map(getShape);
+  }
+
+  static getShape(name) {
+    return getShape(name);
+  }
+
+  // Register an ambient effect preset. See ambient.js for the fields.
+  static registerAmbientPreset(name, preset) {
+    return registerAmbientPreset(name, preset);
+  }
+
+  static getAmbientPresets() {
+    return getAmbientPresetNames().map(getAmbientPreset);
+  }
+
+  // options.seed: any string/number. The same seed reproduces the same
+  // particle layout, shapes and ambient effects (random if omitted, see
+  // this.seed).
+  // options.simulation: start in GPU physics mode (see setSimulation).
+  constructor(canvas, options = {}) {
     this.canvas = canvas;
+    this.seed = String(options.seed ?? randomSeed());
     this.scene = new THREE.Scene();
     this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
     this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas, alpha: true, antialias: true });
@@ -16,14 +92,29 @@ export class ParticleSystem {
 
     this.particleCount = 90000;
     this.particles = null;
-    this.snowParticles = null;
     this.material = null;
-    this.snowMaterial = null;
     this.instancedGeometry = null;
-    this.snowGeometry = null;
 
     // State
     this.currentShape = 'heart';
+    this.shapeOptions = {}; // Extra generator input, e.g. { text } for the text shape
+
+    // How particles are colored (see colorModes.js and setColorMode)
+    this.colorMode = { ...COLOR_MODE_DEFAULTS };
+
+    // Shape morphing: new targets tween in from the previous ones
+    this.morph = {
+        duration: 1.6, // Seconds
+        easing: 'easeInOutCubic',
+        stagger: 0.6 // 0 = all particles move together, 1 = long sweep
+    };
+    this.hasShape = false;
+    this.shapeDef = null; // Registry entry of the current shape
+    this.shapeGenerator = new ShapeGenerator();
+    // GPU physics (GpuSimulation), created on first use. Off = the analytic
+    // Bezier motion in the vertex shader, which runs everywhere.
+    this.simulation = null;
+    this.simulationEnabled = false;
     // We store targets in CPU for shape generation, but logic happens in Shader
     this.targetPositions = new Float32Array(this.particleCount * 3);
     
@@ -36,6 +127,13 @@ export class ParticleSystem {
     this.smoothedHandRot = new THREE.Quaternion();
     this.smoothedHandScale = 1.0;
 
+    // Two-hand controls (see updateBimanual). Zoom and roll ease back once
+    // the hands let go.
+    this.shapeZoom = 1.0;
+    this.shapeRoll = new THREE.Quaternion();
+    this.bimanual = null; // Start of the current two-hand gesture
+    this.handScaleRange = { ...HAND_SCALE_RANGE };
+
     this.isClosed = false;
     this.color = new THREE.Color('#ff0066');
 
@@ -44,6 +142,8 @@ export class ParticleSystem {
     this.photoAtlasCtx = null;
     this.photoCount = 8; // Initial photos loaded
     this.nextPhotoSlot = 8; // Next slot to fill
+    this.shownPhoto = -1; // Last slot popped up by showNextPhoto
+    this.photoShuffle = 0; // Bumped by shufflePhotos for a new arrangement
     this.atlasSize = 4096; // Larger texture for more photos
     this.atlasCols = 8;
     this.atlasRows = 8;
@@ -55,24 +155,37 @@ export class ParticleSystem {
     this.particleTexture = this.textureLoader.load('/textures/particle.png');
 
     this.initParticles();
+    this.fireworks = new Fireworks(this.material.uniforms);
+    this.setColorMode(this.colorMode.mode);
     // this.initPicking(); // Picking removed
-    this.initSnow();
+    // Snow, petals, confetti... around the shape (see ambient.js)
+    this.ambient = new AmbientSystem(this.scene, { seed: this.seed, renderer: this.renderer });
+    // What the ambient sprites feel of the hand (see AmbientSystem.update)
+    this.ambientHand = {
+        position: new THREE.Vector3(),
+        move: new THREE.Vector3(),
+        velocity: new THREE.Vector3(),
+        active: false,
+        palm: false
+    };
     this.initPopup();
-    this.generateShape(this.currentShape);
-
-    // Initial Snow Check
-    if (this.snowMaterial) {
-        this.snowMaterial.uniforms.uVisible.value = 1.0;
+    this.initCursor();
+    this.effects = new PostProcessing(this.renderer, this.scene, this.camera, {
+        uniforms: this.material.uniforms,
+        setLayer: (layer) => this.setRenderLayer(layer)
+    });
+    this.generateShape(this.currentShape).catch(err => log.error('Failed to generate initial shape:', err));
+    if (options.simulation) {
+        this.setSimulation(true);
     }
     
     window.addEventListener('resize', this.onResize.bind(this));
     
-    // Force add global click listener to document body
-    document.body.addEventListener('click', (e) => {
-        console.log("Global Body Click Detected!", e.clientX, e.clientY);
+    // Clicks on the scene only; the UI panels sit on top of the canvas
+    this.renderer.domElement.addEventListener('click', (e) => {
+        log.debug('Click at', e.clientX, e.clientY);
         this.onClick(e);
     });
-    console.log("Particle System vReloaded - Lerp Speed Adjustment");
   }
 
   // initPicking removed
@@ -150,23 +263,24 @@ export class ParticleSystem {
     const sizes = new Float32Array(this.particleCount);
 
     const defaultColor = new THREE.Color(this.color);
+    const random = createRandom(`${this.seed}:particles`);
 
     for (let i = 0; i < this.particleCount; i++) {
-      targets[i * 3] = (Math.random() - 0.5) * 50;
-      targets[i * 3 + 1] = (Math.random() - 0.5) * 50;
-      targets[i * 3 + 2] = (Math.random() - 0.5) * 50;
+      targets[i * 3] = (random() - 0.5) * 50;
+      targets[i * 3 + 1] = (random() - 0.5) * 50;
+      targets[i * 3 + 2] = (random() - 0.5) * 50;
 
-      randoms[i * 3] = Math.random();
-      randoms[i * 3 + 1] = Math.random();
-      randoms[i * 3 + 2] = Math.random();
+      randoms[i * 3] = random();
+      randoms[i * 3 + 1] = random();
+      randoms[i * 3 + 2] = random();
       
       ids[i] = i;
-      isPhotos[i] = Math.random() > 0.75 ? 1.0 : 0.0; // Increased to match visual density (25%)
-      sizes[i] = 0.8 + Math.random() * 0.7; // Mild size variance for nicer depth
+      isPhotos[i] = random() > 0.75 ? 1.0 : 0.0; // Increased to match visual density (25%)
+      sizes[i] = 0.8 + random() * 0.7; // Mild size variance for nicer depth
 
       // Random Texture Offset for grid
       // Initial 8 images spread across grid
-      const imgIdx = Math.floor(Math.random() * 8); 
+      const imgIdx = Math.floor(random() * 8); 
       const col = imgIdx % this.atlasCols;
       const row = Math.floor(imgIdx / this.atlasCols);
       
@@ -184,9 +298,14 @@ export class ParticleSystem {
     }
 
     this.instancedGeometry.setAttribute('aTargetPos', new THREE.InstancedBufferAttribute(targets, 3));
+    // Previous shape, for morphing (see applyShapeBuffers)
+    this.instancedGeometry.setAttribute('aPrevTargetPos', new THREE.InstancedBufferAttribute(targets.slice(), 3));
     this.instancedGeometry.setAttribute('aRandom', new THREE.InstancedBufferAttribute(randoms, 3));
     this.instancedGeometry.setAttribute('aImgOffset', new THREE.InstancedBufferAttribute(imgOffsets, 2));
     this.instancedGeometry.setAttribute('aColor', new THREE.InstancedBufferAttribute(colors, 3));
+    this.instancedGeometry.setAttribute('aPrevColor', new THREE.InstancedBufferAttribute(colors.slice(), 3));
+    // 1 where the shape used the theme color, so setColor recolors it live
+    this.instancedGeometry.setAttribute('aTint', new THREE.InstancedBufferAttribute(new Float32Array(this.particleCount), 1));
     this.instancedGeometry.setAttribute('aID', new THREE.InstancedBufferAttribute(ids, 1));
     this.instancedGeometry.setAttribute('aIsPhoto', new THREE.InstancedBufferAttribute(isPhotos, 1));
     this.instancedGeometry.setAttribute('aSize', new THREE.InstancedBufferAttribute(sizes, 1));
@@ -202,8 +321,22 @@ export class ParticleSystem {
         uHandPos: { value: new THREE.Vector3(0, 0, 0) },
         uHandRotation: { value: new THREE.Vector4(0, 0, 0, 1) }, // Quaternion
         uScale: { value: 1.0 },
+        // Two-hand split: offsets of the left/right half of the shape
+        uSplitLeft: { value: new THREE.Vector3() },
+        uSplitRight: { value: new THREE.Vector3() },
         uClickedID: { value: -1.0 },
-        uAtlasGridSize: { value: this.atlasCols } // Grid size for UV calculation
+        uMorph: { value: 1.0 }, // 0 = previous shape, 1 = current shape
+        uMorphStagger: { value: this.morph.stagger },
+        uMorphEasing: { value: MORPH_EASINGS[this.morph.easing].id },
+        uAtlasGridSize: { value: this.atlasCols }, // Grid size for UV calculation
+        uSimulation: { value: 0.0 }, // 1 = positions come from uSimPositions
+        uSimPositions: { value: null },
+        uSimSize: { value: 1.0 }, // Side of the square simulation texture
+        uRenderLayer: { value: RENDER_LAYERS.all }, // Split for selective bloom
+        uDofStrength: { value: 0.0 }, // Depth of field, set by PostProcessing
+        uFocusDistance: { value: 50.0 },
+        ...createFireworksUniforms(),
+        ...createColorUniforms()
       },
       vertexShader: `
         uniform float uTime;
@@ -211,15 +344,28 @@ export class ParticleSystem {
         uniform vec3 uHandPos;
         uniform vec4 uHandRotation;
         uniform float uScale;
+        uniform vec3 uSplitLeft;
+        uniform vec3 uSplitRight;
         uniform float uClickedID; // Added
+        uniform float uSimulation;
+        uniform sampler2D uSimPositions;
+        uniform float uSimSize;
+        uniform vec3 uColor;
+        uniform sampler2D uPhotoTexture;
+        uniform float uAtlasGridSize;
+        uniform float uDofStrength;
+        uniform float uFocusDistance;
         
         attribute vec3 aTargetPos;
+        attribute vec3 aPrevTargetPos;
+        attribute vec3 aPrevColor;
         attribute vec3 aRandom;
         attribute vec2 aImgOffset;
         attribute vec3 aColor;
         attribute float aID; // Added
         attribute float aIsPhoto; // Added
         attribute float aSize; // Added
+        attribute float aTint;
         
         varying vec2 vImgOffset;
         varying vec2 vUv;
@@ -230,6 +376,7 @@ export class ParticleSystem {
         varying float vIsPhoto; // Pass to frag
         varying float vID; // Pass to frag
         varying float vDepth; // For distance-based dimming
+        varying float vBlur; // Depth of field blur (0 = sharp)
         
         // Quaternion rotation
         vec3 applyQuaternion(vec3 v, vec4 q) {
@@ -247,12 +394,39 @@ export class ParticleSystem {
             return fract(sin(dot(st.xy, vec2(12.9898,78.233))) * 43758.5453123);
         }
 
+${MORPH_GLSL}
+${FIREWORKS_GLSL}
+${COLOR_GLSL}
         void main() {
           vImgOffset = aImgOffset;
           vUv = uv;
           vState = uState; 
           vRandom = aRandom.x;
-          vColor = aColor;
+          
+          // === MORPH ===
+          // Tween from the previous shape, bulging out a little mid-flight
+          vec3 shapeTarget = aTargetPos;
+          vec3 shapeColor = mix(aColor, uColor, aTint);
+          vec4 shapeRotation = uHandRotation;
+          float shapeScale = uScale * 1.5;
+          if (uFireworks > 0.5) {
+              // Animated targets; the sky doesn't follow the hand
+              float fwFade, fwHeat;
+              vec3 burstColor;
+              shapeTarget = fireworkPos(fwFade, fwHeat, burstColor);
+              shapeColor = mix(burstColor, vec3(1.0, 0.95, 0.8), fwHeat) * fwFade;
+              shapeRotation = vec4(0.0, 0.0, 0.0, 1.0);
+              shapeScale = 1.0;
+          }
+
+          float morphT = morphProgress();
+          vec3 targetPos = mix(aPrevTargetPos, shapeTarget, morphT);
+          vColor = mix(aPrevColor, shapeColor, clamp(morphT, 0.0, 1.0));
+          if (uColorMode > 0.5 && uFireworks < 0.5) {
+              // Color follows the particle as it morphs
+              vColor = modeColor(targetPos);
+          }
+          targetPos += normalize(targetPos + vec3(0.0001)) * sin(morphT * 3.14159) * 2.0;
           vIsPhoto = aIsPhoto;
           vID = aID;
           
@@ -265,13 +439,16 @@ export class ParticleSystem {
           // 1. Closed State (Shape/Tree)
           // Add Breathing animation
           float breathe = sin(uTime * 2.0 + aRandom.y * 10.0) * 0.5 + 0.5; // 0..1
-          vec3 shapePos = applyQuaternion(aTargetPos, uHandRotation);
+          vec3 shapePos = applyQuaternion(targetPos, shapeRotation);
           
           // Apply Scale
-          shapePos *= uScale * 1.5;
+          shapePos *= shapeScale;
           
           // Mild breathing expansion
           shapePos += normalize(shapePos) * (breathe * 0.2);
+
+          // Pulled apart by two hands
+          shapePos += shapePos.x < 0.0 ? uSplitLeft : uSplitRight;
           
           // 2. Open State (Cloud/Photos)
           // Float around hand
@@ -296,6 +473,13 @@ export class ParticleSystem {
           
           vec3 finalPos = quadraticBezier(shapePos, controlPoint, cloudPos, progress);
 
+          // GPU simulation: the physics pass owns the position
+          if (uSimulation > 0.5) {
+              float row = floor((aID + 0.5) / uSimSize);
+              vec2 simUv = (vec2(aID - row * uSimSize, row) + 0.5) / uSimSize;
+              finalPos = texture2D(uSimPositions, simUv).xyz;
+          }
+
           // === HIDE IF CLICKED ===
           if (abs(aID - uClickedID) < 0.1) {
              gl_Position = vec4(0.0);
@@ -332,6 +516,12 @@ export class ParticleSystem {
           float finalSize = mix(closedSize, openSize, tumbleFactor);
           transformed *= finalSize;
 
+          // === DEPTH OF FIELD ===
+          // Out-of-focus particles grow into soft discs (dimmed in the fragment shader)
+          vec4 centerView = modelViewMatrix * vec4(finalPos, 1.0);
+          vBlur = uDofStrength * min(abs(-centerView.z - uFocusDistance) / 10.0, 3.0);
+          transformed *= 1.0 + vBlur;
+
           vec4 mvPosition = modelViewMatrix * vec4(finalPos + transformed, 1.0);
           gl_Position = projectionMatrix * mvPosition;
           
@@ -347,6 +537,7 @@ export class ParticleSystem {
         uniform sampler2D uSparkleTexture;
         uniform float uClickedID;
         uniform float uAtlasGridSize;
+        uniform float uRenderLayer;
 
         varying vec2 vImgOffset;
         varying vec2 vUv;
@@ -357,6 +548,7 @@ export class ParticleSystem {
         varying float vIsPhoto;
         varying float vID;
         varying float vDepth; // For distance-based dimming
+        varying float vBlur;
 
         void main() {
           // Texture Coordinates
@@ -403,6 +595,12 @@ export class ParticleSystem {
           float mixT = t * t * t * (t * (t * 6.0 - 15.0) + 10.0);
           
           vec4 finalColor = mix(openStateColor, closedStateColor, mixT);
+
+          // Selective bloom renders the two halves of the mix separately
+          // (1 = sparkles only, 2 = the rest, see postProcessing.js)
+          if (uRenderLayer > 0.5) {
+              finalColor = uRenderLayer < 1.5 ? closedStateColor * mixT : openStateColor * (1.0 - mixT);
+          }
           
           // === TRANSITION DENSITY CONTROL ===
           // REMOVED: No dimming during transition
@@ -413,6 +611,11 @@ export class ParticleSystem {
           float edge = smoothstep(0.98, 0.55, length(vUv - 0.5) * 2.0);
           float alphaMask = mix(edge, 1.0, vIsPhoto); // Keep photos square, soften sparkles
           finalColor.a *= alphaMask;
+
+          // Spread the same light over the bigger out-of-focus disc
+          float blurEdge = 1.0 - smoothstep(0.0, 1.0, length(vUv - 0.5) * 2.0);
+          finalColor.a *= mix(1.0, blurEdge, min(vBlur, 1.0) * (1.0 - vIsPhoto));
+          finalColor.rgb /= (1.0 + vBlur) * (1.0 + vBlur);
           
           if (finalColor.a < 0.1) discard;
           gl_FragColor = finalColor;
@@ -429,35 +632,48 @@ export class ParticleSystem {
     this.scene.add(this.particles);
   }
 
+  // Pop up the photo under the mouse pointer
   onClick(event) {
-    console.log("Click detected!"); 
     if (this.isClosed) {
-        console.log("Ignored: Hand is closed (Shape mode)");
+        log.debug("Click ignored: hand is closed (shape mode)");
         return; 
     }
 
-    // New Logic: Show a RANDOM photo globally for 1.5s
+    const x = (event.clientX / window.innerWidth) * 2 - 1;
+    const y = -(event.clientY / window.innerHeight) * 2 + 1;
+    const id = this.pickPhotoParticle(x, y);
+    if (id === -1) {
+        log.debug("No photo under the pointer");
+        return;
+    }
+    this.launchPopup(id);
+  }
+
+  // Pop the photos up one after another (gesture action)
+  showNextPhoto() {
+    this.shownPhoto = (this.shownPhoto + 1) % this.photoCount;
+    this.showPhoto(this.shownPhoto);
+  }
+
+  // Fly photo `slot` out of the particles toward the camera for 1.5s
+  showPhoto(slot) {
     const isPhotoAttr = this.instancedGeometry.attributes.aIsPhoto;
     if (!isPhotoAttr) {
-        console.error("Attribute aIsPhoto not found on geometry!");
+        log.error("Attribute aIsPhoto not found on geometry!");
         return;
     }
     
     const isPhotos = isPhotoAttr.array;
-    const count = this.particleCount;
+    const count = this.particles.count; // Only the drawn ones (see setQuality)
     
-    // Select a random photo slot with EQUAL probability (1/n for each photo)
-    const randomPhotoSlot = Math.floor(Math.random() * this.photoCount);
     const cellSize = 1.0 / this.atlasCols;
-    const col = randomPhotoSlot % this.atlasCols;
-    const row = Math.floor(randomPhotoSlot / this.atlasCols);
+    const col = slot % this.atlasCols;
+    const row = Math.floor(slot / this.atlasCols);
     
     // Calculate UV offset for this slot
     const ox = col * cellSize;
     const oy = (this.atlasRows - 1 - row) * cellSize;
     
-    console.log(`Showing photo slot ${randomPhotoSlot} of ${this.photoCount} (probability: ${(100/this.photoCount).toFixed(1)}%)`);
-    
     // Find a photo particle to use as starting position
     let randomID = -1;
     for(let i=0; i<100; i++) {
@@ -469,483 +685,295 @@ export class ParticleSystem {
     }
     
     if (randomID !== -1) {
-        // Hide original particle
-        if(this.material.uniforms.uClickedID) {
-            this.material.uniforms.uClickedID.value = randomID;
-        }
-        
-        // Trigger Popup with the randomly selected photo (equal probability)
-        const startPos = this.getParticlePos(randomID);
-        
-        this.popupMesh.material.uniforms.uImgOffset.value.set(ox, oy);
-        
-        this.popupState.active = true;
-        this.popupState.timer = 0;
-        this.popupState.startPos.copy(startPos);
-        this.popupState.id = randomID;
-        
-        this.popupMesh.visible = true;
-        this.popupMesh.position.copy(startPos);
-        this.popupMesh.scale.set(0.1, 0.1, 0.1);
-
+        this.launchPopup(randomID, { imgOffset: new THREE.Vector2(ox, oy) });
     } else {
-        console.warn("Failed to find a photo particle after 100 tries");
+        log.warn("Failed to find a photo particle after 100 tries");
     }
   }
 
-  createSnowflakeTexture() {
-    const canvas = document.createElement('canvas');
-    canvas.width = 128;
-    canvas.height = 128;
-    const ctx = canvas.getContext('2d');
+  // Fly particle `id` up to the camera as a full-size photo. imgOffset picks
+  // the photo (defaults to the one the particle shows); held keeps it up
+  // until releasePopup().
+  launchPopup(id, { imgOffset = null, held = false } = {}) {
+    const offsets = this.instancedGeometry.attributes.aImgOffset.array;
+    if (imgOffset) this.popupMesh.material.uniforms.uImgOffset.value.copy(imgOffset);
+    else this.popupMesh.material.uniforms.uImgOffset.value.set(offsets[id * 2], offsets[id * 2 + 1]);
 
-    ctx.fillStyle = 'rgba(0,0,0,0)';
-    ctx.clearRect(0, 0, 128, 128);
-
-    ctx.strokeStyle = 'white';
-    ctx.lineWidth = 4;
-    ctx.lineCap = 'round';
-    ctx.shadowBlur = 5;
-    ctx.shadowColor = 'white';
-
-    const cx = 64;
-    const cy = 64;
-    const radius = 45;
-
-    // Draw 6 branches
-    for (let i = 0; i < 6; i++) {
-        ctx.save();
-        ctx.translate(cx, cy);
-        ctx.rotate((i * 60 * Math.PI) / 180);
-
-        // Main branch
-        ctx.beginPath();
-        ctx.moveTo(0, 0);
-        ctx.lineTo(0, -radius);
-        ctx.stroke();
-
-        // Sub-branches (V shapes)
-        const branchSize = 12;
-        // Inner V
-        ctx.beginPath();
-        ctx.moveTo(0, -radius * 0.4);
-        ctx.lineTo(-branchSize, -radius * 0.6);
-        ctx.stroke();
-        ctx.beginPath();
-        ctx.moveTo(0, -radius * 0.4);
-        ctx.lineTo(branchSize, -radius * 0.6);
-        ctx.stroke();
-
-        // Outer V
-        ctx.beginPath();
-        ctx.moveTo(0, -radius * 0.7);
-        ctx.lineTo(-branchSize * 0.8, -radius * 0.9);
-        ctx.stroke();
-        ctx.beginPath();
-        ctx.moveTo(0, -radius * 0.7);
-        ctx.lineTo(branchSize * 0.8, -radius * 0.9);
-        ctx.stroke();
-
-        ctx.restore();
-    }
+    // Hide original particle
+    this.material.uniforms.uClickedID.value = id;
     
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.needsUpdate = true;
-    return texture;
+    const startPos = this.getParticlePos(id);
+    this.popupState.active = true;
+    this.popupState.held = held;
+    this.popupState.timer = 0;
+    this.popupState.startPos.copy(startPos);
+    this.popupState.id = id;
+    
+    this.popupMesh.visible = true;
+    this.popupMesh.position.copy(startPos);
+    this.popupMesh.scale.set(0.1, 0.1, 0.1);
   }
 
-  initSnow() {
-      const snowCount = 10000; // Increased count for better effect
-      const geometry = new THREE.PlaneGeometry(0.3, 0.3); // Slightly smaller individual flakes
-      this.snowGeometry = new THREE.InstancedBufferGeometry();
-      this.snowGeometry.index = geometry.index;
-      this.snowGeometry.attributes.position = geometry.attributes.position;
-      this.snowGeometry.attributes.uv = geometry.attributes.uv;
-      
-      const offsets = new Float32Array(snowCount * 3);
-      const speeds = new Float32Array(snowCount);
-      const randoms = new Float32Array(snowCount * 2); // Sway params
-      const rotSpeeds = new Float32Array(snowCount * 3); // Rotation axis/speed
-
-      for(let i=0; i<snowCount; i++) {
-          offsets[i*3] = (Math.random() - 0.5) * 60;
-          offsets[i*3+1] = Math.random() * 40 - 10;
-          offsets[i*3+2] = (Math.random() - 0.5) * 60;
-          
-          speeds[i] = 1.0 + Math.random() * 3.0;
-          randoms[i*2] = Math.random();
-          randoms[i*2+1] = Math.random();
-          
-          rotSpeeds[i*3] = (Math.random() - 0.5) * 2.0;
-          rotSpeeds[i*3+1] = (Math.random() - 0.5) * 2.0;
-          rotSpeeds[i*3+2] = (Math.random() - 0.5) * 2.0;
-      }
+  // Let a held popup finish its animation
+  releasePopup() {
+    this.popupState.held = false;
+  }
 
-      this.snowGeometry.setAttribute('aOffset', new THREE.InstancedBufferAttribute(offsets, 3));
-      this.snowGeometry.setAttribute('aSpeed', new THREE.InstancedBufferAttribute(speeds, 1));
-      this.snowGeometry.setAttribute('aRandom', new THREE.InstancedBufferAttribute(randoms, 2));
-      this.snowGeometry.setAttribute('aRotSpeed', new THREE.InstancedBufferAttribute(rotSpeeds, 3));
-
-      this.snowMaterial = new THREE.ShaderMaterial({
-          uniforms: {
-              uTime: { value: 0 },
-              uTexture: { value: this.createSnowflakeTexture() },
-              uVisible: { value: 1.0 } // Default to visible
-          },
-          vertexShader: `
-             uniform float uTime;
-             attribute vec3 aOffset;
-             attribute float aSpeed;
-             attribute vec2 aRandom;
-             attribute vec3 aRotSpeed;
-             varying vec2 vUv;
-             
-             // Rotation Matrix
-             mat4 rotationMatrix(vec3 axis, float angle) {
-                axis = normalize(axis);
-                float s = sin(angle);
-                float c = cos(angle);
-                float oc = 1.0 - c;
-                
-                return mat4(
-                    oc * axis.x * axis.x + c,           oc * axis.x * axis.y - axis.z * s,  oc * axis.z * axis.x + axis.y * s,  0.0,
-                    oc * axis.x * axis.y + axis.z * s,  oc * axis.y * axis.y + c,           oc * axis.y * axis.z - axis.x * s,  0.0,
-                    oc * axis.z * axis.x - axis.y * s,  oc * axis.y * axis.z + axis.x * s,  oc * axis.z * axis.z + c,           0.0,
-                    0.0,                                0.0,                                0.0,                                1.0
-                );
-            }
+  // The drawn photo particle nearest to a screen point (NDC, -1..1), if one
+  // is within radius pixels; -1 otherwise. Projects every photo particle, so
+  // call it on clicks and pinches, not per frame.
+  pickPhotoParticle(x, y, radius = PICK_RADIUS) {
+    const isPhotos = this.instancedGeometry.attributes.aIsPhoto.array;
+    const count = this.particles.count;
+    // Physics mode: one readback instead of one per particle
+    const simulated = this.simulationEnabled ? this.simulation.readPositions() : null;
+    const halfWidth = window.innerWidth / 2;
+    const halfHeight = window.innerHeight / 2;
+    const p = new THREE.Vector3();
+
+    let best = -1;
+    let bestDist = radius;
+    for (let i = 0; i < count; i++) {
+        if (isPhotos[i] < 0.5) continue;
+        if (simulated) p.fromArray(simulated, i * 4);
+        else this.getParticlePos(i, p);
+        p.project(this.camera);
+        if (p.z > 1.0) continue; // Behind the camera
+        const d = Math.hypot((p.x - x) * halfWidth, (p.y - y) * halfHeight);
+        if (d < bestDist) {
+            best = i;
+            bestDist = d;
+        }
+    }
+    return best;
+  }
 
-             void main() {
-                 vUv = uv;
-                 vec3 pos = aOffset;
-                 
-                 // Fall
-                 float y = pos.y - uTime * aSpeed;
-                 // Wrap around (-10 to 30 range = 40 units)
-                 // Increase range to -20 to 30 to cover more screen
-                 y = mod(y + 10000.0, 50.0) - 20.0;
-                 
-                 // Sway
-                 float swayX = sin(uTime * 1.5 + aRandom.x * 10.0) * 0.5;
-                 float swayZ = cos(uTime * 1.2 + aRandom.y * 10.0) * 0.5;
-                 
-                 // Wind
-                 float wind = sin(uTime * 0.5) * 1.5;
-                 
-                 pos.y = y;
-                 pos.x += swayX + wind;
-                 pos.z += swayZ;
-                 
-                 // Tumbling Rotation
-                 // Rotate the vertex itself before adding to position
-                 float angle = uTime * length(aRotSpeed);
-                 vec3 axis = aRotSpeed;
-                 if (length(axis) < 0.01) axis = vec3(1.0, 0.0, 0.0);
-                 
-                 mat4 rot = rotationMatrix(axis, angle);
-                 vec4 rotatedVertex = rot * vec4(position, 1.0);
-                 
-                 vec4 mvPosition = modelViewMatrix * vec4(pos + rotatedVertex.xyz, 1.0);
-                 
-                 gl_Position = projectionMatrix * mvPosition;
-             }
-          `,
-          fragmentShader: `
-             uniform sampler2D uTexture;
-             uniform float uVisible;
-             varying vec2 vUv;
-             void main() {
-                 if (uVisible < 0.1) discard;
-                 vec4 color = texture2D(uTexture, vUv);
-                 // Boost white
-                 color.rgb *= 1.5;
-                 if (color.a < 0.1) discard;
-                 gl_FragColor = color;
-             }
-          `,
-          depthWrite: false, 
-          blending: THREE.AdditiveBlending,
-          transparent: true,
-          side: THREE.DoubleSide,
-          dithering: true
-      });
-      
-      this.snowParticles = new THREE.InstancedMesh(this.snowGeometry, this.snowMaterial, snowCount);
-      // Ensure it renders last or with particles
-      this.snowParticles.renderOrder = 1; 
-      // Prevent frustum culling since vertices are moved in shader
-      this.snowParticles.frustumCulled = false;
-      this.scene.add(this.snowParticles);
-      console.log("Snow particles updated with procedural texture:", snowCount);
+  // Index fingertip as a 3D cursor over the cloud; pinch to grab the photo
+  // under it, let go to send it back
+  updatePointer(handData) {
+    const pointer = handData && !handData.isClosed && handData.pointer;
+    this.cursorShown = !!pointer;
+    this.cursor.visible = this.cursorShown;
+    const pinching = !!pointer && !!handData.pinching;
+
+    if (pointer) {
+        // Same mirrored frame coordinates as the position, as NDC
+        this.pointerNdc.set(pointer.x * 2 - 1, -(pointer.y * 2 - 1));
+        this.raycaster.setFromCamera(this.pointerNdc, this.camera);
+        this.raycaster.ray.intersectPlane(CURSOR_PLANE, this.cursor.position);
+        this.cursor.quaternion.copy(this.camera.quaternion);
+        const s = pinching ? 0.6 : 1.0;
+        this.cursor.scale.set(s, s, s);
+    }
+
+    if (pinching && !this.pinching) {
+        const id = this.pickPhotoParticle(this.pointerNdc.x, this.pointerNdc.y);
+        if (id !== -1) this.launchPopup(id, { held: true });
+    } else if (!pinching && this.pinching) {
+        this.releasePopup();
+    }
+    this.pinching = pinching;
   }
 
-  generateShape(type) {
-    const allowedShapes = ['heart', 'planet', 'star', 'tree'];
-    if (!allowedShapes.includes(type)) {
+  // Resolves true once the shape is on screen, false if a newer request
+  // replaced it before it finished
+  async generateShape(type, options = {}) {
+    let def = getShape(type);
+    if (!def) {
+        log.warn(`Unknown shape "${type}", falling back to heart`);
         type = 'heart';
+        def = getShape(type);
     }
+
+    // Generation runs in a worker; the current shape stays on screen until
+    // the new buffers arrive. A generator that throws on bad input (e.g. an
+    // empty image) rejects and leaves the current shape untouched.
+    const baseColor = this.color.clone(); // Theme color the generator sees
+    const result = await this.shapeGenerator.generate({
+        def,
+        count: this.particleCount,
+        color: baseColor,
+        options,
+        // Own stream per shape, so a shape doesn't depend on what came before
+        seed: `${this.seed}:shape:${type}`
+    });
+    if (!result) return false; // Superseded by a newer request
+
     this.currentShape = type;
-    const positions = this.instancedGeometry.attributes.aTargetPos.array;
-    const colors = this.instancedGeometry.attributes.aColor.array;
-    
-    let idx = 0;
-    let cIdx = 0;
-    
-    // Helper colors
-    const setRGB = (r, g, b) => {
-        colors[cIdx++] = r;
-        colors[cIdx++] = g;
-        colors[cIdx++] = b;
-    };
-    const setHex = (hex) => {
-        const c = new THREE.Color(hex);
-        setRGB(c.r, c.g, c.b);
-    };
+    this.shapeOptions = options;
+
+    // Before deactivating: fireworks bursts are gone once they stop
+    this.snapshotMorphStart();
+    if (def !== this.shapeDef) {
+        if (this.shapeDef && this.shapeDef.deactivate) this.shapeDef.deactivate(this);
+        this.shapeDef = def;
+        if (def.activate) def.activate(this);
+        this.ambient.applyShapeDefault(def);
+    }
 
-    // Helper: Random point in unit sphere
-    const randomInSphere = () => {
-        const u = Math.random();
-        const v = Math.random();
-        const theta = 2 * Math.PI * u;
-        const phi = Math.acos(2 * v - 1);
-        const r = Math.cbrt(Math.random());
-        return new THREE.Vector3(
-            r * Math.sin(phi) * Math.cos(theta),
-            r * Math.sin(phi) * Math.sin(theta),
-            r * Math.cos(phi)
-        );
-    };
+    this.applyShapeBuffers(result.positions, result.colors, baseColor);
+    return true;
+  }
 
-    if (type === 'heart') {
-       // 3D Heart Volume
-       for (let i = 0; i < this.particleCount; i++) {
-         setHex(this.color); // Default Pink/Red
-         
-         let p = new THREE.Vector3();
-         while(true) {
-             p.set(
-                 (Math.random() - 0.5) * 3,
-                 (Math.random() - 0.5) * 3,
-                 (Math.random() - 0.5) * 3
-             );
-             const x = p.x; const y = p.y; const z = p.z;
-             const a = x*x + 9/4*y*y + z*z - 1;
-             if (a*a*a - x*x*z*z*z - 9/80*y*y*z*z*z < 0) break;
-         }
-         positions[idx++] = p.x * 10;
-         positions[idx++] = p.y * 10;
-         positions[idx++] = p.z * 10;
-       }
-    } else if (type === 'flower') {
-        for (let i = 0; i < this.particleCount; i++) {
-             setHex(this.color);
-             
-             const u = Math.random();
-             const v = Math.random();
-             const theta = Math.random() * Math.PI * 2;
-             const phi = Math.acos(2 * Math.random() - 1);
-             const r = 10 + 5 * Math.sin(5 * theta) * Math.sin(phi);
-             const rFinal = r + (Math.random() - 0.5) * 2;
-             
-             let x = rFinal * Math.sin(phi) * Math.cos(theta);
-             let y = rFinal * Math.sin(phi) * Math.sin(theta);
-             let z = rFinal * Math.cos(phi);
-             positions[idx++] = x; positions[idx++] = y; positions[idx++] = z;
-        }
-    } else if (type === 'planet') { 
-        // Planet: banded core + layered rings + moons
-        const tiltX = 0.4; 
-        const tiltZ = 0.2;
-        for (let i = 0; i < this.particleCount; i++) {
-            const r = Math.random();
-            if (r < 0.55) {
-                // Core planet with subtle latitude bands
-                const dir = randomInSphere().normalize();
-                const latitude = Math.asin(dir.y);
-                const band = Math.sin(latitude * 4.0 + Math.random() * 0.4) * 0.5 + 0.5;
-                const coreRadius = 10.0 + Math.random() * 0.8; // Keep radius consistent so planet stays round
-                const coreColor = new THREE.Color().setHSL(0.04 + band * 0.025, 0.7, 0.28 + band * 0.25);
-                setRGB(coreColor.r, coreColor.g, coreColor.b);
-                
-                const pos = dir.multiplyScalar(coreRadius);
-                positions[idx++] = pos.x; 
-                positions[idx++] = pos.y; 
-                positions[idx++] = pos.z;
-            } else if (r < 0.78) {
-                // Main metallic ring
-                const angle = Math.random() * Math.PI * 2;
-                const dist = 14 + Math.random() * 10;
-                const height = (Math.random() - 0.5) * 0.6; // Thin ring
-                
-                const goldMix = 0.6 + Math.random() * 0.3;
-                const ringColor = new THREE.Color('#c9a34a').lerp(new THREE.Color('#f3d38c'), goldMix);
-                setRGB(ringColor.r, ringColor.g, ringColor.b);
-
-                let x = dist * Math.cos(angle);
-                let z = dist * Math.sin(angle);
-                let y = height;
-
-                let y1 = y * Math.cos(tiltX) - z * Math.sin(tiltX);
-                let z1 = y * Math.sin(tiltX) + z * Math.cos(tiltX);
-                let x1 = x;
-                
-                let x2 = x1 * Math.cos(tiltZ) - y1 * Math.sin(tiltZ);
-                let y2 = x1 * Math.sin(tiltZ) + y1 * Math.cos(tiltZ);
-                let z2 = z1;
-
-                positions[idx++] = x2; positions[idx++] = y2; positions[idx++] = z2;
-            } else if (r < 0.92) {
-                // Dusty arcs and secondary debris rings
-                const angle = Math.random() * Math.PI * 2;
-                const isVerticalArc = Math.random() < 0.35;
-                const dist = isVerticalArc ? (18 + Math.random() * 6) : (24 + Math.random() * 6);
-                const height = isVerticalArc ? (Math.random() - 0.5) * 8.0 : (Math.random() - 0.5) * 2.5;
-                
-                const colorBase = new THREE.Color('#d3b17d').lerp(new THREE.Color('#8c5c2b'), Math.random() * 0.4);
-                setRGB(colorBase.r, colorBase.g, colorBase.b);
-                
-                let x = dist * Math.cos(angle);
-                let z = dist * Math.sin(angle);
-                let y = height + Math.sin(angle * 2.0) * 0.4; // Warp for arc feel
-
-                let y1 = y * Math.cos(tiltX) - z * Math.sin(tiltX);
-                let z1 = y * Math.sin(tiltX) + z * Math.cos(tiltX);
-                let x1 = x;
-                
-                let x2 = x1 * Math.cos(tiltZ) - y1 * Math.sin(tiltZ);
-                let y2 = x1 * Math.sin(tiltZ) + y1 * Math.cos(tiltZ);
-                let z2 = z1;
-
-                positions[idx++] = x2; positions[idx++] = y2; positions[idx++] = z2;
-            } else {
-                // Moons and glowing specks
-                const moonOffsets = [
-                    {r: 20, a: 0.0},
-                    {r: 27, a: 2.1},
-                    {r: 16, a: 4.5},
-                    {r: 22, a: 5.4}
-                ];
-                const m = moonOffsets[Math.floor(Math.random() * moonOffsets.length)];
-                const dir = randomInSphere();
-                const moonR = 1.8 + Math.random() * 0.8;
-                
-                const moonColor = new THREE.Color('#f0f8ff').lerp(new THREE.Color('#ffefd5'), Math.random() * 0.4);
-                setRGB(moonColor.r, moonColor.g, moonColor.b);
-
-                const mx = m.r * Math.cos(m.a);
-                const mz = m.r * Math.sin(m.a);
-                const my = 0;
-                
-                let y1 = my * Math.cos(tiltX) - mz * Math.sin(tiltX);
-                let z1 = my * Math.sin(tiltX) + mz * Math.cos(tiltX);
-                let x1 = mx;
-                let x2 = x1 * Math.cos(tiltZ) - y1 * Math.sin(tiltZ);
-                let y2 = x1 * Math.sin(tiltZ) + y1 * Math.cos(tiltZ);
-                let z2 = z1;
-
-                positions[idx++] = x2 + dir.x * moonR; 
-                positions[idx++] = y2 + dir.y * moonR; 
-                positions[idx++] = z2 + dir.z * moonR;
-            }
-        }
-    } else if (type === 'star') {
-        for (let i = 0; i < this.particleCount; i++) {
-             setHex(this.color);
-             const p = randomInSphere();
-             const dir = p.clone().normalize();
-             const theta = Math.atan2(dir.z, dir.x);
-             const phi = Math.acos(dir.y); // Y up
-             const rBase = 8;
-             const spike = Math.pow(Math.abs(Math.cos(2.5 * theta) * Math.sin(phi)), 4.0) * 15;
-             const r = rBase + spike + (Math.random()*2);
-             positions[idx++] = dir.x * r;
-             positions[idx++] = dir.y * r;
-             positions[idx++] = dir.z * r;
+  // Rotation (written into `rotation`) and scale the shader puts shape
+  // targets through. Fireworks positions are already in world space.
+  getShapeTransform(rotation) {
+    const uniforms = this.material.uniforms;
+    if (uniforms.uFireworks.value > 0.5) {
+        rotation.identity();
+        return 1.0;
+    }
+    rotation.copy(uniforms.uHandRotation.value);
+    return uniforms.uScale.value * 1.5;
+  }
+
+  // Bake what is on screen now into the morph start buffers: each
+  // particle's current (possibly mid-morph, bulge included) target, and its color with the
+  // theme color or fireworks glow baked in. Positions are left in world
+  // space, through the outgoing shape's rotation and scale;
+  // applyShapeBuffers moves them into the next shape's space.
+  snapshotMorphStart() {
+    if (!this.hasShape) return;
+    const attrs = this.instancedGeometry.attributes;
+    const fireworks = this.material.uniforms.uFireworks.value > 0.5;
+    const { targetPos, shapePos, rotation, color } = particleScratch;
+    const scale = this.getShapeTransform(rotation);
+    const prevPos = attrs.aPrevTargetPos.array;
+    const prevColor = attrs.aPrevColor.array;
+    const pos = attrs.aTargetPos.array;
+    const col = attrs.aColor.array;
+    const rand = attrs.aRandom.array;
+    const tint = attrs.aTint.array;
+
+    for (let i = 0; i < this.particleCount; i++) {
+        const k = i * 3;
+        if (fireworks) {
+            this.fireworks.position(i, rand[k], rand[k + 1], rand[k + 2], shapePos, color);
+        } else {
+            shapePos.fromArray(pos, k);
+            if (tint[i] > 0.5) color.copy(this.color);
+            else color.fromArray(col, k);
         }
-    } else if (type === 'tree') {
-        const layers = 7; // Matches Christmas-tree config
-        const starCenter = new THREE.Vector3(0, 11, 0);
-        for (let i = 0; i < this.particleCount; i++) {
-             const t = Math.random();
-             
-             // Trunk cluster
-             if (t < 0.08) {
-                 setHex('#4a2e16'); // Wood tone
-                 const theta = Math.random() * Math.PI * 2;
-                 const r = 0.6 + Math.random() * 0.8;
-                 const y = -10 + Math.random() * 4;
-                 
-                 positions[idx++] = r * Math.cos(theta) * 0.8;
-                 positions[idx++] = y;
-                 positions[idx++] = r * Math.sin(theta) * 0.8;
-                 continue;
-             }
-             
-             // Star topper
-             if (t > 0.94) {
-                 setHex('#FFD700');
-                 const dir = randomInSphere().normalize();
-                 const s = 1.0 + Math.random() * 0.8;
-                 
-                 positions[idx++] = starCenter.x + dir.x * s;
-                 positions[idx++] = starCenter.y + dir.y * s;
-                 positions[idx++] = starCenter.z + dir.z * s;
-                 continue;
-             }
-
-             const y = (t * 20) - 10; // -10 to 10 height
-             const layerT = t * layers;
-             const layerProgress = layerT % 1;
-             const layerShape = Math.pow(1 - layerProgress, 0.8);
-             const maxR = 6.5; // Scaled to fit screen
-             const rBoundary = (1 - t) * maxR * (0.75 + 0.5 * layerShape);
-             const theta = Math.random() * Math.PI * 2;
-             const wobble = Math.sin(theta * 3.0 + layerT) * 0.2;
-             const r = rBoundary * Math.sqrt(0.1 + 0.9 * Math.random());
-             const edgeFactor = rBoundary > 0 ? (r / rBoundary) : 0.0;
-             const yPos = y + wobble;
-
-             // Garland wrap
-             if (Math.random() < 0.12) {
-                 setHex('#FFD966');
-                 const turns = 4.5;
-                 const angle = t * turns * 2 * Math.PI;
-                 const garlandR = rBoundary * 0.85 + 0.3;
-                 positions[idx++] = garlandR * Math.cos(angle);
-                 positions[idx++] = yPos;
-                 positions[idx++] = garlandR * Math.sin(angle);
-                 continue;
-             }
-             
-             // Ornaments and snowy tips
-             if (Math.random() < (0.12 + edgeFactor * 0.25)) {
-                 setHex('#e6f6ff'); // Snow frosting
-             } else if (Math.random() < 0.14) {
-                 const ornamentType = Math.random();
-                 if (ornamentType < 0.33) setHex('#FF0000'); // Red
-                 else if (ornamentType < 0.66) setHex('#FFD700'); // Gold
-                 else setHex('#1E90FF'); // Dodger Blue
-             } else {
-                 setHex('#0f5e2f'); // Forest Green
-             }
-             
-             positions[idx++] = r * Math.cos(theta);
-             positions[idx++] = yPos;
-             positions[idx++] = r * Math.sin(theta);
+        // Mid-flight particles are bulged out; start from there, not from
+        // the straight line between the shapes
+        const t = this.getMorphProgress(i);
+        targetPos.fromArray(prevPos, k).lerp(shapePos, t);
+        targetPos.addScaledVector(normalized(targetPos), Math.sin(t * Math.PI) * 2.0);
+        targetPos.applyQuaternion(rotation).multiplyScalar(scale).toArray(prevPos, k);
+
+        const tColor = Math.min(t, 1.0); // Easings may overshoot
+        prevColor[k] += (color.r - prevColor[k]) * tColor;
+        prevColor[k + 1] += (color.g - prevColor[k + 1]) * tColor;
+        prevColor[k + 2] += (color.b - prevColor[k + 2]) * tColor;
+    }
+  }
+
+  // Install new target positions/colors, morphing from what is on screen now
+  // (see snapshotMorphStart). baseColor is the theme color the generator was
+  // given.
+  applyShapeBuffers(positions, colors, baseColor = this.color) {
+    const attrs = this.instancedGeometry.attributes;
+    const uniforms = this.material.uniforms;
+    const tint = attrs.aTint.array;
+
+    if (this.hasShape) {
+        // From world space into the incoming shape's, so the morph starts
+        // exactly where the particles are even when the transform changes
+        // (fireworks ignore the hand)
+        const { targetPos, rotation } = particleScratch;
+        const scale = this.getShapeTransform(rotation);
+        rotation.invert();
+        const prevPos = attrs.aPrevTargetPos.array;
+        for (let k = 0; k < prevPos.length; k += 3) {
+            targetPos.fromArray(prevPos, k).divideScalar(scale).applyQuaternion(rotation).toArray(prevPos, k);
         }
+        uniforms.uMorph.value = 0.0;
+    } else {
+        // First shape: nothing to morph from
+        attrs.aPrevTargetPos.array.set(positions);
+        attrs.aPrevColor.array.set(colors);
+        uniforms.uMorph.value = 1.0;
+        this.hasShape = true;
+    }
+
+    attrs.aTargetPos.array.set(positions);
+    attrs.aColor.array.set(colors);
+
+    // Particles painted with the theme color follow uColor from now on
+    const base = [baseColor.r, baseColor.g, baseColor.b];
+    for (let i = 0; i < this.particleCount; i++) {
+        const k = i * 3;
+        tint[i] = Math.abs(colors[k] - base[0]) < 1e-5 &&
+            Math.abs(colors[k + 1] - base[1]) < 1e-5 &&
+            Math.abs(colors[k + 2] - base[2]) < 1e-5 ? 1.0 : 0.0;
+    }
+    this.updateShapeBounds(positions);
+
+    attrs.aTargetPos.needsUpdate = true;
+    attrs.aColor.needsUpdate = true;
+    attrs.aTint.needsUpdate = true;
+    attrs.aPrevTargetPos.needsUpdate = true;
+    attrs.aPrevColor.needsUpdate = true;
+
+    if (this.simulation) {
+        this.simulation.setTargets(attrs.aPrevTargetPos.array, attrs.aTargetPos.array);
     }
+  }
+
+  // Bounding box of the target shape, for position-based color modes
+  updateShapeBounds(positions) {
+    const box = new THREE.Box3().setFromArray(positions);
+    box.getCenter(this.material.uniforms.uShapeCenter.value);
+    box.getSize(this.material.uniforms.uShapeExtent.value).multiplyScalar(0.5);
+  }
+
+  // CPU mirror of morphProgress() in the vertex shader
+  getMorphProgress(i) {
+    const uniforms = this.material.uniforms;
+    if (uniforms.uMorph.value >= 1.0) return 1.0;
+
+    const y = this.instancedGeometry.attributes.aTargetPos.array[i * 3 + 1];
+    const rand = this.instancedGeometry.attributes.aRandom.array[i * 3 + 2];
+    const sweep = Math.max(0, Math.min(1, y / 30 + 0.5));
+    const delay = rand + (sweep - rand) * 0.6;
+    const stagger = uniforms.uMorphStagger.value;
+    const t = Math.max(0, Math.min(1, uniforms.uMorph.value * (1 + stagger) - delay * stagger));
+    return MORPH_EASINGS[this.morph.easing].fn(t);
+  }
 
-    this.instancedGeometry.attributes.aTargetPos.needsUpdate = true;
-    this.instancedGeometry.attributes.aColor.needsUpdate = true;
+  // duration (s), easing (see MORPH_EASINGS) and stagger (0..1)
+  setMorphOptions({ duration, easing, stagger } = {}) {
+    if (duration !== undefined) this.morph.duration = Math.max(0, duration);
+    if (easing !== undefined) {
+        if (!MORPH_EASINGS[easing]) {
+            log.warn(`Unknown morph easing "${easing}"`);
+        } else {
+            this.morph.easing = easing;
+            this.material.uniforms.uMorphEasing.value = MORPH_EASINGS[easing].id;
+        }
+    }
+    if (stagger !== undefined) {
+        this.morph.stagger = Math.max(0, Math.min(1, stagger));
+        this.material.uniforms.uMorphStagger.value = this.morph.stagger;
+    }
   }
 
   update(dt, handData) {
     this.material.uniforms.uTime.value += dt;
-    if (this.snowMaterial) {
-        this.snowMaterial.uniforms.uTime.value += dt;
-        // console.log("Snow Time:", this.snowMaterial.uniforms.uTime.value);
+
+    // Advance shape morph
+    const morph = this.material.uniforms.uMorph;
+    if (morph.value < 1.0) {
+        morph.value = this.morph.duration > 0 ? Math.min(1.0, morph.value + dt / this.morph.duration) : 1.0;
+    }
+
+    // Animated shapes (fireworks)
+    if (this.shapeDef && this.shapeDef.update) {
+        this.shapeDef.update(this, dt);
     }
 
+    this.updateBimanual(dt, handData);
+
     if (handData) {
         // Map hand position (0..1) to scene coords (-20..20 approx)
         const x = (handData.position.x - 0.5) * 40;
@@ -956,10 +984,11 @@ export class ParticleSystem {
         // --- STABILIZATION & SMOOTHING ---
         
         // 1. Position Smoothing (LERP)
-        // Adaptive Smoothing:
-        // If closed (fist), use very strong smoothing (low lerp factor) to remove shake.
-        // If open, use lighter smoothing for responsiveness.
-        const posLerpFactor = this.isClosed ? 0.03 : 0.15; 
+        // HandTracker already filters out the jitter (One Euro); this only
+        // eases between camera frames. Slow and weighty while closed (fist),
+        // snappy while open. Per second, so it doesn't depend on frame rate.
+        const followRate = this.isClosed ? 3.0 : 12.0;
+        const posLerpFactor = 1.0 - Math.exp(-followRate * dt);
         
         this.smoothedHandPos.lerp(this.handPos, posLerpFactor);
         this.material.uniforms.uHandPos.value.copy(this.smoothedHandPos);
@@ -1000,16 +1029,17 @@ export class ParticleSystem {
              this.handRotation.setFromEuler(euler);
              
              this.smoothedHandRot.slerp(this.handRotation, posLerpFactor);
-             this.material.uniforms.uHandRotation.value.copy(this.smoothedHandRot);
+             this.material.uniforms.uHandRotation.value.copy(
+                 rollScratch.multiplyQuaternions(this.shapeRoll, this.smoothedHandRot)
+             );
         }
         
         // 3. Scale Smoothing (LERP)
         if (handData.scale) {
             // Normalize scale. 
-            // Typical palm width/dist is 0.1 (far) to 0.3 (close).
-            // Map 0.1 -> 0.5x, 0.3 -> 1.5x
-            const minS = 0.1; 
-            const maxS = 0.3;
+            // Typical palm width/dist is 0.1 (far) to 0.3 (close); a
+            // calibration narrows it to this user's reach (setHandScaleRange).
+            const { min: minS, max: maxS } = this.handScaleRange;
             // Linear map
             let s = (handData.scale - minS) / (maxS - minS); 
             // Clamp 0..1
@@ -1021,7 +1051,7 @@ export class ParticleSystem {
             
             // Smooth it
             this.smoothedHandScale += (finalScale - this.smoothedHandScale) * posLerpFactor;
-            this.material.uniforms.uScale.value = this.smoothedHandScale;
+            this.material.uniforms.uScale.value = this.smoothedHandScale * this.shapeZoom;
         }
         
         // Smooth transition for uState
@@ -1032,37 +1062,253 @@ export class ParticleSystem {
         const lerpSpeed = 0.5; 
         this.material.uniforms.uState.value += (targetState - this.material.uniforms.uState.value) * lerpSpeed * dt;
     } 
+    this.updatePointer(handData);
+    this.updateAmbientHand(handData);
+    this.ambient.update(dt, this.ambientHand);
+
+    if (this.simulationEnabled) {
+        this.simulation.update(dt);
+        this.material.uniforms.uSimPositions.value = this.simulation.positionTexture;
+    }
 
-    this.renderer.render(this.scene, this.camera);
+    this.effects.render(dt);
     
     this.updatePopup(dt);
   }
 
+  // Two fists: move them apart/together to zoom the shape, tilt the pair like
+  // a steering wheel to roll it, pull far apart to split it in two with each
+  // half following its hand. handData.hands comes from HandTracker.
+  updateBimanual(dt, handData) {
+    const uniforms = this.material.uniforms;
+    const hands = handData && handData.hands;
+    const active = !!hands && hands.length >= 2 && hands[0].isClosed && hands[1].isClosed;
+    const k = Math.min(1.0, dt * 8.0);
+
+    if (!active) {
+        this.bimanual = null;
+        uniforms.uSplitLeft.value.multiplyScalar(1.0 - k);
+        uniforms.uSplitRight.value.multiplyScalar(1.0 - k);
+        const release = 1.0 - Math.exp(-ZOOM_RELEASE_RATE * dt);
+        this.shapeZoom += (1.0 - this.shapeZoom) * release;
+        this.shapeRoll.slerp(NO_ROLL, release);
+        return;
+    }
+
+    // Same mapping as the single hand; left/right by screen side
+    const [left, right] = hands.slice(0, 2)
+        .map(h => new THREE.Vector3((h.position.x - 0.5) * 40, -(h.position.y - 0.5) * 30, 0))
+        .sort((a, b) => a.x - b.x);
+    const distance = Math.max(left.distanceTo(right), 0.001);
+    const angle = Math.atan2(right.y - left.y, right.x - left.x);
+
+    if (!this.bimanual) {
+        // Measure from where the gesture starts, like pinch-zoom
+        this.bimanual = { distance, angle, zoom: this.shapeZoom, roll: this.shapeRoll.clone() };
+    }
+    const start = this.bimanual;
+    const ratio = distance / start.distance;
+
+    const zoom = Math.min(Math.max(start.zoom * Math.min(ratio, SPLIT_RATIO), MIN_ZOOM), MAX_ZOOM);
+    this.shapeZoom += (zoom - this.shapeZoom) * k;
+
+    const turn = new THREE.Quaternion().setFromAxisAngle(Z_AXIS, angle - start.angle);
+    this.shapeRoll.slerp(turn.multiply(start.roll), k);
+
+    // Beyond the zoom limit the halves follow their hands
+    const t = Math.min(Math.max((ratio - SPLIT_RATIO) / 1.0, 0.0), 1.0);
+    const split = t * t * (3.0 - 2.0 * t);
+    const center = left.clone().add(right).multiplyScalar(0.5);
+    uniforms.uSplitLeft.value.lerp(left.sub(center).multiplyScalar(split), k);
+    uniforms.uSplitRight.value.lerp(right.sub(center).multiplyScalar(split), k);
+  }
+
+  // Swipes blow the ambient sprites around; an open palm held still catches
+  // them. Uses the smoothed position so piled-up sprites don't jitter.
+  updateAmbientHand(handData) {
+    const hand = this.ambientHand;
+    hand.move.subVectors(this.smoothedHandPos, hand.position);
+    hand.position.copy(this.smoothedHandPos);
+    hand.active = !!handData;
+    hand.palm = !!handData && !handData.isClosed && !!handData.still;
+    if (handData && handData.velocity) {
+        // Same mapping as the position in update()
+        hand.velocity.set(handData.velocity.x * 40, -handData.velocity.y * 30, 0);
+    } else {
+        hand.velocity.set(0, 0, 0);
+    }
+  }
+
+  // Drive the scene without a hand (used by the shape sequencer): keep the
+  // shape assembled and ease toward the given scale/rotation
+  applyShowState(dt, { scale = 1.5, rotation = null } = {}) {
+    const uniforms = this.material.uniforms;
+    const k = Math.min(1.0, dt * 2.0);
+
+    this.isClosed = true;
+    this.handPos.set(0, 0, 0);
+    this.smoothedHandPos.lerp(this.handPos, k);
+    uniforms.uHandPos.value.copy(this.smoothedHandPos);
+
+    // Two-hand zoom and roll still apply while they ease back
+    this.smoothedHandScale += (scale - this.smoothedHandScale) * k;
+    uniforms.uScale.value = this.smoothedHandScale * this.shapeZoom;
+
+    if (rotation) this.smoothedHandRot.slerp(rotation, k);
+    uniforms.uHandRotation.value.copy(rollScratch.multiplyQuaternions(this.shapeRoll, this.smoothedHandRot));
+
+    // Same speed as the hand-driven transition in update()
+    uniforms.uState.value += (1.0 - uniforms.uState.value) * 0.5 * dt;
+  }
+
+  // Scale rendering cost: { particleRatio, ambientRatio, pixelRatio } (see
+  // QUALITY_TIERS in quality.js). Only the first instances get drawn, which
+  // works because generators fill particles in random order.
+  setQuality({ particleRatio = 1, ambientRatio = 1, pixelRatio = 2, effects = true } = {}) {
+    this.particles.count = Math.max(1, Math.round(this.particleCount * particleRatio));
+    this.ambient.setDensity(ambientRatio);
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, pixelRatio));
+    this.effects.setPixelRatio(this.renderer.getPixelRatio());
+    this.effects.setAllowed(effects);
+  }
+
+  // Hand scale seen far away (min) and up close (max), see calibration.js.
+  // No arguments restores the default range.
+  setHandScaleRange(min = HAND_SCALE_RANGE.min, max = HAND_SCALE_RANGE.max) {
+    if (!(max > min)) {
+        log.warn(`Invalid hand scale range ${min}..${max}`);
+        return;
+    }
+    this.handScaleRange = { min, max };
+  }
+
+  // Post-processing settings, e.g. { bloom: { enabled: true, strength: 0.8 } }
+  // (see EFFECT_DEFAULTS in postProcessing.js)
+  setEffects(options) {
+    this.effects.setOptions(options);
+  }
+
+  // Show one part of the scene for a post-processing pass
+  setRenderLayer(layer) {
+    this.material.uniforms.uRenderLayer.value = layer;
+    const bloomOnly = layer === RENDER_LAYERS.sparkle;
+    this.ambient.group.visible = !bloomOnly;
+    this.popupMesh.visible = this.popupState.active && !bloomOnly;
+    this.cursor.visible = this.cursorShown && !bloomOnly;
+  }
+
+  // Switch between the analytic motion and the GPU physics simulation.
+  // options: { spring, damping, turbulence, repulsion, repulsorRadius }.
+  // Returns false if physics was requested but this GPU can't run it
+  // (needs float render targets); the analytic mode stays on then.
+  setSimulation(enabled, options) {
+    if (enabled && !this.simulation) {
+        if (!GpuSimulation.isSupported(this.renderer)) {
+            log.warn('GPU simulation not supported here, keeping analytic motion');
+            return false;
+        }
+        try {
+            this.simulation = new GpuSimulation(this.renderer, this.particleCount, this.material.uniforms);
+        } catch (err) {
+            log.warn('GPU simulation failed to start, keeping analytic motion:', err);
+            return false;
+        }
+        const attrs = this.instancedGeometry.attributes;
+        this.simulation.setRandoms(attrs.aRandom.array);
+        this.simulation.setTargets(attrs.aPrevTargetPos.array, attrs.aTargetPos.array);
+        this.material.uniforms.uSimSize.value = this.simulation.size;
+    }
+    if (options && this.simulation) {
+        this.simulation.setOptions(options);
+    }
+
+    if (enabled && !this.simulationEnabled) {
+        // Start from where the particles are drawn right now
+        const positions = new Float32Array(this.particleCount * 3);
+        const p = new THREE.Vector3();
+        for (let i = 0; i < this.particleCount; i++) {
+            this.getParticlePos(i, p);
+            positions[i * 3] = p.x;
+            positions[i * 3 + 1] = p.y;
+            positions[i * 3 + 2] = p.z;
+        }
+        this.simulation.reset(positions);
+        this.material.uniforms.uSimPositions.value = this.simulation.positionTexture;
+    }
+
+    this.simulationEnabled = !!enabled;
+    this.material.uniforms.uSimulation.value = this.simulationEnabled ? 1.0 : 0.0;
+    return true;
+  }
+
+  // Send up a firework (only while the fireworks shape is active).
+  // options: { x, type: 'sphere' | 'ring' | 'heart', color }
+  launchFirework(options) {
+    this.fireworks.launch(options);
+  }
+
+  // Theme color. Applies live to every particle the shape painted with it.
   setColor(hex) {
       this.color.set(hex);
       this.material.uniforms.uColor.value.copy(this.color);
   }
 
-  setShape(shape) {
-      this.generateShape(shape);
-      const appliedShape = this.currentShape;
-      
-      // Auto-set theme color for specific shapes if desired
-      if (appliedShape === 'planet') {
-          this.setColor('#800000'); // Maroon Red
-      } else if (appliedShape === 'tree') {
-          this.setColor('#0f5e2f'); // Forest Green (Optional, user can override)
+  // mode: one of COLOR_MODES (see colorModes.js). options (kept between
+  // calls and across shapes): { stops: 2-3 colors, axis: 'x' | 'y' | 'z',
+  // palette: name in COLOR_PALETTES or a color array, photo: atlas slot }
+  setColorMode(mode, options = {}) {
+      if (!COLOR_MODES[mode]) {
+          log.warn(`Unknown color mode "${mode}"`);
+          return;
       }
-      
-      // Toggle Snow - Enable for ALL shapes now
-      if (this.snowMaterial) {
-          this.snowMaterial.uniforms.uVisible.value = 1.0;
+      const settings = Object.assign(this.colorMode, options, { mode });
+      const uniforms = this.material.uniforms;
+      uniforms.uColorMode.value = COLOR_MODES[mode].id;
+
+      const stops = settings.stops.slice(0, 3);
+      stops.forEach((c, i) => uniforms.uColorStops.value[i].set(c));
+      uniforms.uColorStopCount.value = stops.length;
+      uniforms.uColorAxis.value.copy(GRADIENT_AXES[settings.axis] || GRADIENT_AXES.y);
+
+      const palette = (Array.isArray(settings.palette) ? settings.palette : COLOR_PALETTES[settings.palette])
+          || COLOR_PALETTES.festive;
+      palette.slice(0, MAX_PALETTE).forEach((c, i) => uniforms.uPalette.value[i].set(c));
+      uniforms.uPaletteSize.value = Math.min(palette.length, MAX_PALETTE);
+
+      this.updatePhotoCell();
+  }
+
+  // Atlas cell the 'photo' color mode samples from
+  updatePhotoCell() {
+      const slot = this.colorMode.photo ?? Math.max(0, this.nextPhotoSlot - 1);
+      const col = slot % this.atlasCols;
+      const row = Math.floor(slot / this.atlasCols);
+      this.material.uniforms.uPhotoCell.value.set(
+          col / this.atlasCols,
+          (this.atlasRows - 1 - row) / this.atlasRows
+      );
+  }
+
+  // Ambient effects: preset name(s) from ambient.js to show together ([] for
+  // none), or 'auto' to follow the current shape's default
+  setAmbient(names) {
+      this.ambient.select(names, this.shapeDef);
+  }
+
+  // Async like generateShape: resolves true once the shape is applied
+  async setShape(shape, options) {
+      // Shapes can declare their own theme color (user can override)
+      const def = getShape(shape);
+      if (def && def.color) {
+          this.setColor(def.color);
       }
+
+      return this.generateShape(shape, options);
   }
 
   addPhotoToAtlas(img) {
     if (!this.photoAtlasCtx || !this.photoAtlasCanvas) {
-      console.error('Photo atlas not initialized');
+      log.error('Photo atlas not initialized');
       return false;
     }
 
@@ -1080,14 +1326,15 @@ export class ParticleSystem {
 
     // Update particle image offsets to include new photos
     this.updateParticlePhotoAssignments();
+    this.updatePhotoCell(); // 'photo' color mode follows the latest photo
 
-    console.log(`Added photo to slot ${slot}. Total: ${this.photoCount}`);
+    log.info(`Added photo to slot ${slot}. Total: ${this.photoCount}`);
     return slot; // Return the slot number for database storage
   }
 
   addPhotoToAtlasAtSlot(img, slot) {
     if (!this.photoAtlasCtx || !this.photoAtlasCanvas) {
-      console.error('Photo atlas not initialized');
+      log.error('Photo atlas not initialized');
       return false;
     }
 
@@ -1107,8 +1354,9 @@ export class ParticleSystem {
 
     // Update particle image offsets
     this.updateParticlePhotoAssignments();
+    this.updatePhotoCell(); // 'photo' color mode follows the latest photo
 
-    console.log(`Loaded photo to slot ${slot}. Total: ${this.photoCount}`);
+    log.info(`Loaded photo to slot ${slot}. Total: ${this.photoCount}`);
     return true;
   }
 
@@ -1150,11 +1398,13 @@ export class ParticleSystem {
     const cols = this.atlasCols;
     const maxSlots = Math.min(this.photoCount, cols * this.atlasRows);
     const cellSize = 1.0 / cols;
+    const shuffle = this.photoShuffle ? `:${this.photoShuffle}` : '';
+    const random = createRandom(`${this.seed}:photos:${maxSlots}${shuffle}`);
 
     // Reassign ALL photo particles - each photo has 1/n probability
     for (let i = 0; i < this.particleCount; i++) {
       if (isPhotos[i] > 0.5) {
-        const imgIdx = Math.floor(Math.random() * maxSlots);
+        const imgIdx = Math.floor(random() * maxSlots);
         const col = imgIdx % cols;
         const row = Math.floor(imgIdx / cols);
 
@@ -1164,7 +1414,13 @@ export class ParticleSystem {
     }
 
     this.instancedGeometry.attributes.aImgOffset.needsUpdate = true;
-    console.log(`Redistributed particles across ${maxSlots} photos (each ~${(100/maxSlots).toFixed(1)}% probability)`);
+    log.info(`Redistributed particles across ${maxSlots} photos (each ~${(100/maxSlots).toFixed(1)}% probability)`);
+  }
+
+  // Deal the photos out to different particles
+  shufflePhotos() {
+    this.photoShuffle++;
+    this.updateParticlePhotoAssignments();
   }
 
   getPhotoCount() {
@@ -1218,60 +1474,93 @@ export class ParticleSystem {
         totalDuration: 1.5,
         startPos: new THREE.Vector3(),
         targetPos: new THREE.Vector3(0, 0, 42),
-        id: -1
+        id: -1,
+        held: false // Grabbed with a pinch
     };
   }
 
-  getParticlePos(id) {
+  // Ring following the index fingertip (see updatePointer)
+  initCursor() {
+    const geometry = new THREE.RingGeometry(0.35, 0.5, 32);
+    const material = new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.8,
+        depthTest: false,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+    this.cursor = new THREE.Mesh(geometry, material);
+    this.cursor.visible = false;
+    this.cursor.renderOrder = 1000;
+    this.cursorShown = false;
+    this.scene.add(this.cursor);
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointerNdc = new THREE.Vector2();
+    this.pinching = false;
+  }
+
+  // Where particle `id` is drawn, in world space: the CPU mirror of the
+  // vertex shader's position (keep both in sync). Writes into target; pass
+  // one in when calling it in a loop.
+  getParticlePos(id, target = new THREE.Vector3()) {
+     if (this.simulationEnabled) {
+         return this.simulation.readPosition(id, target);
+     }
+     const uniforms = this.material.uniforms;
      const attr = this.instancedGeometry.attributes;
-     const tPos = new THREE.Vector3(
-         attr.aTargetPos.array[id*3],
-         attr.aTargetPos.array[id*3+1],
-         attr.aTargetPos.array[id*3+2]
-     );
-     const rand = new THREE.Vector3(
-         attr.aRandom.array[id*3],
-         attr.aRandom.array[id*3+1],
-         attr.aRandom.array[id*3+2]
-     );
-     
+     const rand = attr.aRandom.array;
+     const rx = rand[id * 3], ry = rand[id * 3 + 1], rz = rand[id * 3 + 2];
+     const { targetPos, shapePos, cloudPos, controlPoint } = particleScratch;
+
+     // Morph from the previous target, bulging out mid-flight
+     let rotation = uniforms.uHandRotation.value;
+     let scale = uniforms.uScale.value * 1.5;
+     if (uniforms.uFireworks.value > 0.5) {
+         this.fireworks.position(id, rx, ry, rz, shapePos);
+         rotation = null;
+         scale = 1.0;
+     } else {
+         shapePos.fromArray(attr.aTargetPos.array, id * 3);
+     }
+     const morphT = this.getMorphProgress(id);
+     targetPos.fromArray(attr.aPrevTargetPos.array, id * 3).lerp(shapePos, morphT);
+     targetPos.addScaledVector(normalized(targetPos), Math.sin(morphT * Math.PI) * 2.0);
+
      // 1. Closed State
-     const uTime = this.material.uniforms.uTime.value;
-     const breathe = Math.sin(uTime * 2.0 + rand.y * 10.0) * 0.5 + 0.5;
-     
-     const shapePos = tPos.clone().applyQuaternion(this.material.uniforms.uHandRotation.value);
-     shapePos.multiplyScalar(this.material.uniforms.uScale.value);
-     shapePos.add(shapePos.clone().normalize().multiplyScalar(breathe * 0.2));
-     
+     const uTime = uniforms.uTime.value;
+     const breathe = Math.sin(uTime * 2.0 + ry * 10.0) * 0.5 + 0.5;
+     shapePos.copy(targetPos);
+     if (rotation) shapePos.applyQuaternion(rotation);
+     shapePos.multiplyScalar(scale);
+     shapePos.addScaledVector(normalized(shapePos), breathe * 0.2);
+     shapePos.add(shapePos.x < 0 ? uniforms.uSplitLeft.value : uniforms.uSplitRight.value);
+
      // 2. Open State
-     const t = uTime * 0.5 + rand.x * 10.0;
-     const floatOffset = new THREE.Vector3(Math.sin(t), Math.cos(t * 0.8), Math.sin(t * 1.2)).multiplyScalar(3.0);
-     
-     const randomSpread = rand.clone().subScalar(0.5).multiply(new THREE.Vector3(70.0, 60.0, 40.0));
-     randomSpread.z -= 10.0;
-     
-     const handPos = this.material.uniforms.uHandPos.value;
-     const cloudPos = handPos.clone().add(randomSpread).add(floatOffset);
-     
-     // 3. Interpolation
-     const controlPoint = shapePos.clone().add(shapePos.clone().normalize().multiplyScalar(20.0));
-     const uState = this.material.uniforms.uState.value;
-     const progress = 1.0 - uState;
-     
-     // Bezier
+     const t = uTime * 0.5 + rx * 10.0;
+     cloudPos.set(
+         (rx - 0.5) * 70.0 + Math.sin(t) * 3.0,
+         (ry - 0.5) * 60.0 + Math.cos(t * 0.8) * 3.0,
+         (rz - 0.5) * 40.0 - 10.0 + Math.sin(t * 1.2) * 3.0
+     ).add(uniforms.uHandPos.value);
+
+     // 3. Interpolation (Bezier)
+     controlPoint.copy(shapePos).addScaledVector(normalized(shapePos), 20.0);
+     const progress = 1.0 - uniforms.uState.value;
      const oneMinusT = 1.0 - progress;
-     const finalPos = new THREE.Vector3()
+     return target.set(0, 0, 0)
         .addScaledVector(shapePos, oneMinusT * oneMinusT)
         .addScaledVector(controlPoint, 2.0 * oneMinusT * progress)
         .addScaledVector(cloudPos, progress * progress);
-     
-     return finalPos;
   }
 
   updatePopup(dt) {
       if (!this.popupState.active) return;
       
       this.popupState.timer += dt;
+      // A grabbed photo stays up until the pinch lets go
+      if (this.popupState.held) this.popupState.timer = Math.min(this.popupState.timer, 1.2);
       const t = this.popupState.timer;
       
       // Animation Logic
@@ -1306,5 +1595,6 @@ export class ParticleSystem {
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.effects.setSize(window.innerWidth, window.innerHeight);
   }
 }
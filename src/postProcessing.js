@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+
+// Post-processing: selective bloom on the sparkle particles, vignette and
+// film grain, plus depth of field (done per particle in the particle shader,
+// since the additive particles don't write depth).
+//
+// Bloom is selective by splitting the scene: the bloom composer renders only
+// the sparkles (RENDER_LAYERS.sparkle) and blurs them; the main composer
+// renders everything else (RENDER_LAYERS.rest) and the finish pass adds the
+// two. Everything is additive, so the sum matches a single render.
+
+export const RENDER_LAYERS = { all: 0, sparkle: 1, rest: 2 };
+
+// Only bloom starts on; the rest are opt-in from the Effects panel or
+// setEffects. The strengths are what a switched-on effect starts at.
+export const EFFECT_DEFAULTS = {
+  bloom: { enabled: true, strength: 0.8 },
+  dof: { enabled: false, strength: 0.4 },
+  vignette: { enabled: false, strength: 0.5 },
+  grain: { enabled: false, strength: 0.04 }
+};
+
+const BLOOM_RADIUS = 0.4;
+const BLOOM_THRESHOLD = 0.1;
+
+const FinishShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    tBloom: { value: null },
+    uBloom: { value: 0.0 },
+    uVignette: { value: 0.0 },
+    uGrain: { value: 0.0 },
+    uTime: { value: 0.0 }
+  },
+  vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+  `,
+  fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform sampler2D tBloom;
+        uniform float uBloom;
+        uniform float uVignette;
+        uniform float uGrain;
+        uniform float uTime;
+        varying vec2 vUv;
+
+        float random(vec2 st) {
+            return fract(sin(dot(st.xy, vec2(12.9898,78.233))) * 43758.5453123);
+        }
+
+        void main() {
+            vec4 base = texture2D(tDiffuse, vUv);
+            vec3 bloom = texture2D(tBloom, vUv).rgb * uBloom;
+            vec3 color = base.rgb + bloom;
+
+            // Darken toward the corners
+            float d = length(vUv - 0.5) * 1.414;
+            color *= 1.0 - uVignette * smoothstep(0.3, 1.0, d);
+
+            // Grain, new pattern every frame
+            color += (random(vUv + fract(uTime * 7.13)) - 0.5) * uGrain;
+
+            // Glow over empty (transparent) canvas still has to show
+            float alpha = max(base.a, max(bloom.r, max(bloom.g, bloom.b)));
+            gl_FragColor = vec4(color, alpha);
+        }
+  `
+};
+
+export class PostProcessing {
+  // uniforms: particle material uniforms (uDofStrength, uFocusDistance)
+  // setLayer(layer): show only one of RENDER_LAYERS in the scene
+  constructor(renderer, scene, camera, { uniforms, setLayer }) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.uniforms = uniforms;
+    this.setLayer = setLayer;
+    this.settings = JSON.parse(JSON.stringify(EFFECT_DEFAULTS));
+    this.allowed = true; // False on low quality tiers
+
+    this.bloomComposer = new EffectComposer(renderer);
+    this.bloomComposer.renderToScreen = false;
+    this.bloomComposer.addPass(new RenderPass(scene, camera));
+    this.bloomPass = new UnrealBloomPass(
+      new THREE.Vector2(window.innerWidth, window.innerHeight), 1, BLOOM_RADIUS, BLOOM_THRESHOLD
+    );
+    this.bloomComposer.addPass(this.bloomPass);
+
+    this.composer = new EffectComposer(renderer);
+    this.composer.addPass(new RenderPass(scene, camera));
+    this.finishPass = new ShaderPass(FinishShader);
+    this.composer.addPass(this.finishPass);
+  }
+
+  // { bloom: { enabled, strength }, dof: {...}, vignette: {...}, grain: {...} }
+  setOptions(options = {}) {
+    Object.keys(this.settings).forEach(name => {
+      if (options[name]) Object.assign(this.settings[name], options[name]);
+    });
+  }
+
+  setAllowed(allowed) {
+    this.allowed = allowed;
+  }
+
+  strength(name) {
+    const effect = this.settings[name];
+    return this.allowed && effect.enabled ? effect.strength : 0;
+  }
+
+  get active() {
+    return this.allowed && Object.values(this.settings).some(effect => effect.enabled);
+  }
+
+  render(dt) {
+    // Depth of field lives in the particle shader, focused on the shape
+    // (assembled at the origin)
+    this.uniforms.uDofStrength.value = this.strength('dof');
+    this.uniforms.uFocusDistance.value = this.camera.position.length();
+
+    const bloom = this.strength('bloom');
+    const finish = this.finishPass.uniforms;
+    if (!this.active) {
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+
+    if (bloom > 0) {
+      this.bloomPass.strength = bloom;
+      this.setLayer(RENDER_LAYERS.sparkle);
+      this.bloomComposer.render(dt);
+      this.setLayer(RENDER_LAYERS.rest);
+      finish.tBloom.value = this.bloomComposer.readBuffer.texture;
+    }
+    finish.uBloom.value = bloom > 0 ? 1.0 : 0.0;
+    finish.uVignette.value = this.strength('vignette');
+    finish.uGrain.value = this.strength('grain');
+    finish.uTime.value += dt;
+
+    this.composer.render(dt);
+    this.setLayer(RENDER_LAYERS.all);
+  }
+
+  setSize(width, height) {
+    this.bloomComposer.setSize(width, height);
+    this.composer.setSize(width, height);
+  }
+
+  setPixelRatio(ratio) {
+    this.bloomComposer.setPixelRatio(ratio);
+    this.composer.setPixelRatio(ratio);
+  }
+}
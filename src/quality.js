@@ -0,0 +1,152 @@
+// Adaptive quality: watches frame times from the animation loop and steps
+// the particle count, ambient effect density and pixel ratio down when the
+// frame rate drops (and back up when there's headroom). Hysteresis keeps it from
+// flip-flopping: different thresholds for going down and up, the frame
+// rate has to stay there for a while, and there's a cooldown after each
+// change. Thresholds are relative to the display's refresh interval rather
+// than fixed fps: the best frame time seen (averaged over a few frames
+// against vsync jitter), assumed 60 Hz until a faster one shows up. A slower
+// limit (30/50 Hz display, throttled laptop) shows up as a tier change that
+// doesn't change the frame time: stepping down doesn't make frames faster,
+// or stepping up doesn't make them slower. That frame time then becomes the
+// refresh interval (and a useless step down is undone). In between the two
+// thresholds it still tries a step up now and then, to find such a limit.
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('quality');
+
+// Lowest first. Ratios are of the full particle/ambient counts; effects turns
+// post-processing (postProcessing.js) on or off.
+export const QUALITY_TIERS = {
+  low: { label: 'Low', particleRatio: 0.35, ambientRatio: 0.3, pixelRatio: 1, effects: false },
+  medium: { label: 'Medium', particleRatio: 0.65, ambientRatio: 0.6, pixelRatio: 1.5, effects: true },
+  high: { label: 'High', particleRatio: 1, ambientRatio: 1, pixelRatio: 2, effects: true }
+};
+
+const TIER_NAMES = Object.keys(QUALITY_TIERS);
+
+const DOWNGRADE_RATIO = 1.5; // Step down when frames take this many refresh intervals (40 fps at 60 Hz)...
+const DOWNGRADE_AFTER = 2; // ...for this many seconds
+const UPGRADE_RATIO = 1.1; // Step up when they're within this (55 fps at 60 Hz)...
+const UPGRADE_AFTER = 8; // ...for this many seconds
+const COOLDOWN = 3; // Seconds to let a change settle before measuring again
+const MAX_FRAME = 0.5; // Longer frames are stalls (hidden tab), not load
+const MIN_FRAME = 1 / 240; // Shorter ones are doubled-up callbacks, not the refresh rate
+const REFRESH_SAMPLE = 10; // Frames averaged per refresh interval measurement
+const PROBE_AFTER = 30; // Seconds between the two thresholds before trying a step up
+const JUDGE_AFTER = 2; // Seconds after the cooldown to compare frame times across a change
+const NO_CHANGE = 0.1; // Frame times within this share of each other count as unchanged
+
+export class QualityController {
+  constructor(particleSystem, { mode = 'auto' } = {}) {
+    this.particleSystem = particleSystem;
+    this.mode = 'auto'; // 'auto' or a tier name (manual override)
+    this.tier = 'high'; // Tier currently applied
+    this.avgFrame = 1 / 60; // Smoothed frame time (s)
+    this.refreshFrame = 1 / 60; // Refresh interval estimate (s)
+    this.lastChange = null; // { from (frame time before), down, time } until it's judged
+    this.sampleTime = 0; // Frames toward the next refresh measurement
+    this.sampleFrames = 0;
+    this.slowTime = 0;
+    this.fastTime = 0;
+    this.middleTime = 0;
+    this.cooldown = 0;
+    this.onChange = null; // (tier, mode) => {}
+
+    this.setMode(mode);
+  }
+
+  // 'auto' or one of QUALITY_TIERS
+  setMode(mode) {
+    if (mode !== 'auto' && !QUALITY_TIERS[mode]) {
+      log.warn(`Unknown quality mode "${mode}"`);
+      return;
+    }
+    this.mode = mode;
+    this.resetTiming();
+    this.applyTier(mode === 'auto' ? this.tier : mode, true);
+  }
+
+  // Feed the frame time (s) every frame
+  update(dt) {
+    if (this.mode !== 'auto' || dt > MAX_FRAME) return;
+
+    this.avgFrame += (dt - this.avgFrame) * 0.05;
+    if (dt >= MIN_FRAME) this.measureRefresh(dt);
+    if (this.cooldown > 0) {
+      this.cooldown -= dt;
+      return;
+    }
+
+    const fps = 1 / this.avgFrame;
+    const load = this.avgFrame / this.refreshFrame; // 1 = every refresh gets a frame
+    this.slowTime = load > DOWNGRADE_RATIO ? this.slowTime + dt : 0;
+    this.fastTime = load < UPGRADE_RATIO ? this.fastTime + dt : 0;
+    this.middleTime = load >= UPGRADE_RATIO && load <= DOWNGRADE_RATIO ? this.middleTime + dt : 0;
+
+    const index = TIER_NAMES.indexOf(this.tier);
+    if (this.lastChange && (this.lastChange.time += dt) > JUDGE_AFTER) {
+      const { from, down } = this.lastChange;
+      this.lastChange = null;
+      if (Math.abs(this.avgFrame / from - 1) < NO_CHANGE) {
+        log.info(`Quality: ${fps.toFixed(0)} fps on either tier, taking that as the refresh rate`);
+        this.refreshFrame = this.avgFrame;
+        this.resetTiming();
+        if (down) this.applyTier(TIER_NAMES[index + 1]);
+        return;
+      }
+    }
+
+    if (this.slowTime > DOWNGRADE_AFTER && index > 0) {
+      log.info(`Quality: ${fps.toFixed(0)} fps at ${this.refreshRate.toFixed(0)} Hz, stepping down`);
+      this.changeTier(index - 1);
+    } else if ((this.fastTime > UPGRADE_AFTER || this.middleTime > PROBE_AFTER) && index < TIER_NAMES.length - 1) {
+      log.info(`Quality: ${fps.toFixed(0)} fps at ${this.refreshRate.toFixed(0)} Hz, stepping up`);
+      this.changeTier(index + 1);
+    }
+  }
+
+  // A change the controller made itself, to be judged once it settles
+  changeTier(index) {
+    const from = this.avgFrame;
+    const down = index < TIER_NAMES.indexOf(this.tier);
+    this.applyTier(TIER_NAMES[index]);
+    this.lastChange = { from, down, time: 0 };
+  }
+
+  measureRefresh(dt) {
+    this.sampleTime += dt;
+    if (++this.sampleFrames < REFRESH_SAMPLE) return;
+    const interval = this.sampleTime / this.sampleFrames;
+    this.refreshFrame = Math.min(this.refreshFrame, interval);
+    this.sampleTime = 0;
+    this.sampleFrames = 0;
+  }
+
+  applyTier(tier, force = false) {
+    if (tier === this.tier && !force) return;
+    this.tier = tier;
+    this.particleSystem.setQuality(QUALITY_TIERS[tier]);
+    this.lastChange = null;
+    this.resetTiming();
+    this.cooldown = COOLDOWN;
+    if (this.onChange) this.onChange(this.tier, this.mode);
+  }
+
+  resetTiming() {
+    this.slowTime = 0;
+    this.fastTime = 0;
+    this.middleTime = 0;
+    this.avgFrame = this.refreshFrame;
+  }
+
+  get fps() {
+    return 1 / this.avgFrame;
+  }
+
+  // Estimated display refresh rate (Hz)
+  get refreshRate() {
+    return 1 / this.refreshFrame;
+  }
+}
@@ -0,0 +1,31 @@
+// Seedable PRNG so particle layouts can be saved, shared and regenerated.
+// Each consumer derives its own stream from the seed plus a label
+// (e.g. `${seed}:shape:heart`), so one shape looks the same no matter
+// what was generated before it.
+
+// FNV-1a: string/number seed -> 32-bit int
+export function hashSeed(seed) {
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32 - returns a Math.random() replacement (floats in [0, 1))
+export function createRandom(seed) {
+  let a = hashSeed(seed);
+  return function random() {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Short, URL-friendly seed for when none was given
+export function randomSeed() {
+  return Math.random().toString(36).slice(2, 8);
+}
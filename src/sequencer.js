@@ -0,0 +1,229 @@
+import * as THREE from 'three';
+import { createLogger } from './logger.js';
+
+const log = createLogger('show');
+
+// Shape sequencer: plays a scripted show without hand input.
+//
+// A show is JSON:
+// {
+//   "loop": true,
+//   "steps": [
+//     { "shape": "heart", "duration": 8 },
+//     { "shape": "star", "color": "#ffd700", "duration": 8, "scale": 1.5,
+//       "rotationSpeed": 0.8, "transition": 2 },
+//     { "shape": "text", "options": { "text": "Happy Birthday" }, "duration": 10 }
+//   ]
+// }
+//
+// Step fields: shape (registered name), options (generator input), color,
+// duration (s), scale (uScale), rotationSpeed (rad/s around Y) and
+// transition (morph duration, s).
+//
+// Gestures while playing: hold an open palm to pause and take over,
+// a quick fist pump (close + open) skips to the next step. The show
+// resumes once the hand has been gone for a while. Only the camera hand, or
+// a fallback with a button, finger or key down, counts: a mouse merely
+// resting on the page doesn't take the show over.
+
+const DEFAULT_STEP = {
+  duration: 8,
+  scale: 1.5,
+  rotationSpeed: 0.4,
+  transition: null // null = keep the particle system's morph duration
+};
+
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+export class ShapeSequencer {
+  constructor(particleSystem, options = {}) {
+    this.particleSystem = particleSystem;
+    this.steps = [];
+    this.loop = true;
+    this.index = 0;
+    this.elapsed = 0;
+    this.playing = false;
+    this.paused = false;
+    this.angle = 0;
+    this.rotation = new THREE.Quaternion();
+    this.onChange = null; // (sequencer) => void, for the UI
+    this.userMorphDuration = null; // Restored when the show lets go
+
+    // Gesture tuning
+    this.pauseHoldTime = options.pauseHoldTime ?? 1.0; // Open palm held (s)
+    this.skipMaxFistTime = options.skipMaxFistTime ?? 0.6; // Max fist pump length (s)
+    this.resumeAfter = options.resumeAfter ?? 5.0; // Hand gone (s)
+
+    this.openTime = 0;
+    this.fistTime = 0;
+    this.wasClosed = false;
+    this.handGoneTime = 0;
+  }
+
+  // Accepts a show object or its JSON string
+  load(show) {
+    const data = typeof show === 'string' ? JSON.parse(show) : show;
+    if (!data || !Array.isArray(data.steps) || data.steps.length === 0) {
+      throw new Error('Show needs a non-empty "steps" array');
+    }
+    data.steps.forEach((step, i) => {
+      if (!step.shape) throw new Error(`Show step ${i} has no "shape"`);
+    });
+
+    this.stop();
+    this.steps = data.steps.map(step => ({ ...DEFAULT_STEP, ...step }));
+    this.loop = data.loop !== false;
+    this.index = 0;
+    this.notify();
+  }
+
+  get currentStep() {
+    return this.steps[this.index] || null;
+  }
+
+  play() {
+    if (this.steps.length === 0) return;
+    if (!this.playing || this.paused) {
+      this.userMorphDuration = this.particleSystem.morph.duration;
+    }
+    if (!this.playing) {
+      this.playing = true;
+      this.startStep(this.index);
+    }
+    this.paused = false;
+    this.notify();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.paused = true;
+    this.handGoneTime = 0;
+    this.restoreMorph();
+    this.notify();
+  }
+
+  togglePause() {
+    if (!this.playing || this.paused) this.play();
+    else this.pause();
+  }
+
+  stop() {
+    this.playing = false;
+    this.paused = false;
+    this.restoreMorph();
+    this.notify();
+  }
+
+  // Steps set their own transition; manual shape changes get the user's back
+  restoreMorph() {
+    if (this.userMorphDuration === null) return;
+    this.particleSystem.setMorphOptions({ duration: this.userMorphDuration });
+    this.userMorphDuration = null;
+  }
+
+  next() {
+    if (this.steps.length === 0) return;
+    let index = this.index + 1;
+    if (index >= this.steps.length) {
+      if (!this.loop) {
+        this.index = 0;
+        this.stop();
+        return;
+      }
+      index = 0;
+    }
+    this.startStep(index);
+    this.notify();
+  }
+
+  startStep(index) {
+    const step = this.steps[index];
+    const ps = this.particleSystem;
+    this.index = index;
+    this.elapsed = 0;
+
+    if (step.transition !== null) {
+      ps.setMorphOptions({ duration: step.transition });
+    }
+
+    let pending;
+    if (step.color) {
+      // Explicit color wins over the shape's theme color
+      ps.setColor(step.color);
+      pending = ps.generateShape(step.shape, step.options);
+    } else {
+      pending = ps.setShape(step.shape, step.options);
+    }
+    pending.catch(err => log.error(`Show step ${index} (${step.shape}) failed:`, err));
+  }
+
+  // Returns true while the show is driving the scene, so the caller
+  // should not feed hand data into the particle system this frame
+  update(dt, handData) {
+    if (!this.playing) return false;
+
+    this.handleGestures(dt, handData);
+    if (!this.playing || this.paused) return false;
+
+    const step = this.currentStep;
+    this.elapsed += dt;
+    if (this.elapsed >= step.duration) {
+      this.next();
+      if (!this.playing) return false;
+    }
+
+    const current = this.currentStep;
+    this.angle += current.rotationSpeed * dt;
+    this.rotation.setFromAxisAngle(Y_AXIS, this.angle);
+    this.particleSystem.applyShowState(dt, { scale: current.scale, rotation: this.rotation });
+    return true;
+  }
+
+  handleGestures(dt, handData) {
+    if (!handData) {
+      this.resetGestures();
+      if (this.paused) {
+        this.handGoneTime += dt;
+        if (this.handGoneTime >= this.resumeAfter) this.play();
+      }
+      return;
+    }
+
+    this.handGoneTime = 0;
+    if (this.paused) return; // The hand is in control
+
+    // A fallback counts while held, and on the frame it lets go (the end of
+    // a fist pump)
+    if (handData.source !== 'hand' && !handData.active && !this.wasClosed) {
+      this.resetGestures();
+      return;
+    }
+
+    if (handData.isClosed) {
+      this.fistTime += dt;
+      this.openTime = 0;
+    } else {
+      // Quick fist pump -> skip
+      if (this.wasClosed && this.fistTime <= this.skipMaxFistTime) {
+        this.next();
+      }
+      this.fistTime = 0;
+      this.openTime += dt;
+      if (this.openTime >= this.pauseHoldTime) {
+        this.openTime = 0;
+        this.pause();
+      }
+    }
+    this.wasClosed = handData.isClosed;
+  }
+
+  resetGestures() {
+    this.openTime = 0;
+    this.fistTime = 0;
+    this.wasClosed = false;
+  }
+
+  notify() {
+    if (this.onChange) this.onChange(this);
+  }
+}
@@ -0,0 +1,212 @@
+import { HandTracker } from './handTracking.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('session');
+
+// Record hand tracking sessions to JSON and play them back through a
+// HandTracker, so gestures and visuals can be tuned (and checked) without
+// waving at the camera. A session:
+//   { version, recordedAt, options (the tracker's), frames: [{ t, hands, state }] }
+// t is the time HandTracker.handleResults used (seconds), hands the raw
+// MediaPipe results ({ label, score, landmarks: [[x, y, z] x 21] } per hand)
+// and state the derived values at that frame (see serializeState), which
+// verifySession compares a replay against.
+
+export const SESSION_VERSION = 1;
+
+function serializeResults(results) {
+  const landmarks = results.multiHandLandmarks || [];
+  const handedness = results.multiHandedness || [];
+  return landmarks.map((hand, i) => ({
+    label: handedness[i] ? handedness[i].label : 'Hand',
+    score: handedness[i] ? handedness[i].score : 1,
+    landmarks: hand.map(p => [p.x, p.y, p.z])
+  }));
+}
+
+function toResults(hands) {
+  return {
+    multiHandLandmarks: hands.map(hand => hand.landmarks.map(([x, y, z]) => ({ x, y, z }))),
+    multiHandedness: hands.map(hand => ({ label: hand.label, score: hand.score }))
+  };
+}
+
+// The parts of HandTracker.getState() worth comparing, as plain JSON
+export function serializeState(state) {
+  if (!state) return null;
+  return {
+    isClosed: state.isClosed,
+    pinching: state.pinching,
+    still: state.still,
+    position: [state.position.x, state.position.y],
+    pointer: [state.pointer.x, state.pointer.y],
+    velocity: [state.velocity.x, state.velocity.y],
+    rotation: state.rotation.toArray(),
+    scale: state.scale,
+    gesture: state.gesture.name,
+    swipe: state.swipe ? state.swipe.direction : null,
+    hands: state.hands.length
+  };
+}
+
+// Throws unless `session` looks like something SessionRecorder wrote
+export function checkSession(session) {
+  if (!session || !Array.isArray(session.frames)) {
+    throw new Error('Not a recorded session (no "frames")');
+  }
+  if (session.version !== SESSION_VERSION) {
+    throw new Error(`Unsupported session version ${session.version} (expected ${SESSION_VERSION})`);
+  }
+  return session;
+}
+
+export class SessionRecorder {
+  constructor(tracker) {
+    this.tracker = tracker;
+    this.session = null; // The one being recorded
+    this.onChange = null; // () => {}, for the UI
+  }
+
+  get recording() {
+    return this.session !== null;
+  }
+
+  get frameCount() {
+    return this.session ? this.session.frames.length : 0;
+  }
+
+  start() {
+    if (this.recording) return;
+    this.session = {
+      version: SESSION_VERSION,
+      recordedAt: new Date().toISOString(),
+      options: JSON.parse(JSON.stringify(this.tracker.options)),
+      frames: []
+    };
+    this.tracker.setOnFrame((results, t, state) => {
+      this.session.frames.push({ t, hands: serializeResults(results), state: serializeState(state) });
+    });
+    log.info('Recording hand tracking session');
+    if (this.onChange) this.onChange();
+  }
+
+  // Returns the session (null if nothing was recording)
+  stop() {
+    if (!this.recording) return null;
+    const session = this.session;
+    this.session = null;
+    this.tracker.setOnFrame(null);
+    log.info(`Recorded ${session.frames.length} frames`);
+    if (this.onChange) this.onChange();
+    return session;
+  }
+}
+
+// Feeds a recorded session into a tracker in (scaled) real time, in place
+// of its camera: the tracker's setOnResults/setOnSwipe callbacks fire as if
+// the hand were there.
+export class SessionPlayer {
+  constructor(tracker) {
+    this.tracker = tracker;
+    this.session = null;
+    this.speed = 1;
+    this.loop = false;
+    this.index = 0;
+    this.startedAt = 0;
+    this.timer = null;
+    this.onChange = null; // () => {}, for the UI
+  }
+
+  get playing() {
+    return this.session !== null;
+  }
+
+  play(session, { speed = 1, loop = false } = {}) {
+    checkSession(session);
+    this.stop();
+    if (session.frames.length === 0) return;
+    this.session = session;
+    this.speed = speed;
+    this.loop = loop;
+    this.restart();
+    log.info(`Replaying ${session.frames.length} frames at ${speed}x`);
+    if (this.onChange) this.onChange();
+  }
+
+  restart() {
+    this.index = 0;
+    this.startedAt = performance.now();
+    this.tracker.replaying = true;
+    this.tracker.reset();
+    this.tick();
+  }
+
+  stop() {
+    if (!this.playing) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.session = null;
+    this.tracker.reset();
+    this.tracker.replaying = false;
+    if (this.onChange) this.onChange();
+  }
+
+  // Feed every frame that's due, then sleep until the next one
+  tick() {
+    const frames = this.session.frames;
+    const start = frames[0].t;
+    const elapsed = (performance.now() - this.startedAt) / 1000 * this.speed;
+    while (this.index < frames.length && frames[this.index].t - start <= elapsed) {
+      const frame = frames[this.index++];
+      this.tracker.handleResults(toResults(frame.hands), frame.t);
+    }
+
+    if (this.index >= frames.length) {
+      if (this.loop) this.restart();
+      else this.stop();
+      return;
+    }
+    const wait = (frames[this.index].t - start - elapsed) / this.speed * 1000;
+    this.timer = setTimeout(() => this.tick(), Math.max(0, wait));
+  }
+}
+
+// Runs a session through a fresh, camera-less tracker as fast as possible and
+// returns the state after every frame. options override the recorded ones
+// (to see what a tuning change does to a known session).
+export function replaySession(session, options = {}) {
+  checkSession(session);
+  const tracker = new HandTracker(null, { ...session.options, ...options });
+  return session.frames.map(frame => {
+    tracker.handleResults(toResults(frame.hands), frame.t);
+    return tracker.getState();
+  });
+}
+
+// Replays a session and compares against what was recorded: a regression
+// check for the fist heuristic, rotation math, filters and gestures.
+// Returns the differences, [{ frame, t, field, expected, actual }] (empty if
+// the replay matches).
+export function verifySession(session, { tolerance = 1e-6, options = {} } = {}) {
+  const states = replaySession(session, options).map(serializeState);
+  const differences = [];
+  states.forEach((actual, i) => {
+    const { t, state: expected } = session.frames[i];
+    diffValues(expected, actual, tolerance, '', (field, a, b) => {
+      differences.push({ frame: i, t, field, expected: a, actual: b });
+    });
+  });
+  return differences;
+}
+
+function diffValues(expected, actual, tolerance, path, report) {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    if (Math.abs(expected - actual) > tolerance) report(path, expected, actual);
+  } else if (expected && actual && typeof expected === 'object' && typeof actual === 'object') {
+    new Set([...Object.keys(expected), ...Object.keys(actual)]).forEach(key => {
+      diffValues(expected[key], actual[key], tolerance, path ? `${path}.${key}` : key, report);
+    });
+  } else if (expected !== actual) {
+    report(path, expected, actual);
+  }
+}
@@ -0,0 +1,115 @@
+import { createRandom } from './random.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('shapes');
+
+// Runs shape generators in a Web Worker so heavy shapes (rejection-sampled
+// heart, 90k-particle planet) don't freeze the animation. Only one job runs
+// at a time: a new request terminates the worker mid-generation and the
+// superseded request resolves to null.
+//
+// Shapes run on the main thread instead when they opt out (worker: false),
+// when the worker doesn't know them (registered at runtime) or when Workers
+// aren't available.
+export class ShapeGenerator {
+  constructor() {
+    this.worker = null;
+    this.job = null;
+    this.nextId = 0;
+    this.workerFailed = false;
+  }
+
+  // Resolves { positions, colors } (Float32Arrays), or null if cancelled
+  generate({ def, count, color, options, seed }) {
+    this.cancel();
+
+    // Main-thread preprocessing (DOM work like rasterizing text)
+    const prepared = def.prepare ? def.prepare(options) : options;
+    const request = {
+      id: ++this.nextId,
+      type: def.name,
+      count,
+      color: { r: color.r, g: color.g, b: color.b },
+      options: prepared,
+      seed
+    };
+    const runLocally = () => this.generateLocally(def, request);
+
+    const worker = def.worker === false ? null : this.getWorker();
+    if (!worker) {
+      return Promise.resolve().then(runLocally);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.job = { id: request.id, resolve, reject, runLocally };
+      try {
+        worker.postMessage(request);
+      } catch (err) {
+        // Options that can't be cloned (e.g. DOM objects) - run here instead
+        this.job = null;
+        resolve(runLocally());
+      }
+    });
+  }
+
+  generateLocally(def, { count, color, options, seed }) {
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    def.generate({ count, positions, colors, color, options, random: createRandom(seed) });
+    return { positions, colors };
+  }
+
+  cancel() {
+    if (!this.job) return;
+    // Terminating is the only way to stop a running generator
+    this.worker.terminate();
+    this.worker = null;
+    this.job.resolve(null);
+    this.job = null;
+  }
+
+  getWorker() {
+    if (this.worker) return this.worker;
+    if (this.workerFailed || typeof Worker === 'undefined') return null;
+
+    try {
+      this.worker = new Worker(new URL('./shapeWorker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+      log.warn('Shape worker unavailable, generating on the main thread:', err);
+      this.workerFailed = true;
+      return null;
+    }
+    this.worker.onmessage = (e) => this.onMessage(e.data);
+    this.worker.onerror = (e) => {
+      log.warn('Shape worker failed, generating on the main thread:', e.message);
+      this.workerFailed = true;
+      this.worker = null;
+      const job = this.job;
+      this.job = null;
+      if (job) this.settle(job, job.runLocally);
+    };
+    return this.worker;
+  }
+
+  onMessage(data) {
+    const job = this.job;
+    if (!job || data.id !== job.id) return; // Stale
+    this.job = null;
+
+    if (data.unsupported) {
+      this.settle(job, job.runLocally);
+    } else if (data.error) {
+      job.reject(new Error(data.error));
+    } else {
+      job.resolve({ positions: data.positions, colors: data.colors });
+    }
+  }
+
+  settle(job, fn) {
+    try {
+      job.resolve(fn());
+    } catch (err) {
+      job.reject(err);
+    }
+  }
+}
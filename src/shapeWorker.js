@@ -0,0 +1,28 @@
+// Runs shape generators off the main thread. Receives
+// { id, type, count, color, options, seed } and replies with transferable
+// position/color buffers, { id, error } or { id, unsupported } for shapes
+// this worker doesn't know (registered at runtime on the main thread).
+import { getShape } from './shapes.js';
+import { createRandom } from './random.js';
+import './fireworks.js';
+import './textShape.js';
+import './imageShape.js';
+
+self.onmessage = (e) => {
+  const { id, type, count, color, options, seed } = e.data;
+  const def = getShape(type);
+  if (!def || def.worker === false) {
+    self.postMessage({ id, unsupported: true });
+    return;
+  }
+
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  try {
+    def.generate({ count, positions, colors, color, options, random: createRandom(seed) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+    return;
+  }
+  self.postMessage({ id, positions, colors }, [positions.buffer, colors.buffer]);
+};
@@ -0,0 +1,387 @@
+import * as THREE from 'three';
+
+// Shape registry
+// Each entry describes one closed-fist target shape:
+//   label    - text for the UI button (defaults to the capitalized name)
+//   color    - optional theme color applied when the shape is selected
+//   ambient  - optional ambient preset name(s) shown with the shape while
+//              the ambient picker is on Auto (see ambient.js; default snow,
+//              [] for none)
+//   generate - fills positions/colors (Float32Array, 3 floats per particle)
+//              for ctx.count particles. ctx.color is the current THREE.Color,
+//              ctx.random a seeded Math.random() replacement - use it instead
+//              of Math.random() so layouts are reproducible. Keep particle
+//              order random (no "all outline first"): lower quality tiers
+//              only draw the first part of the buffers.
+//   prepare  - optional main-thread step turning options into plain,
+//              cloneable data (e.g. rasterized pixels) before generate runs
+//   worker   - false to keep generate on the main thread (see shapeWorker.js;
+//              shapes registered at runtime always run on the main thread)
+//   input    - optional, for shapes built from something the user provides.
+//              Describes what's needed; the UI owns the controls for it:
+//                kind    - 'text' (the text box and font) or 'file'
+//                accept  - for files: 'image' or 'model'. Until one has
+//                          been dropped the UI opens the file picker, and
+//                          cycling skips the shape.
+//                options(value) - turns what the UI collected into the
+//                          generator options (may return a promise). Text
+//                          gets { text, font }; files get { file, relief,
+//                          mask } with the relief depth and image mask mode
+//                          from the controls next to the drop zone.
+// Animated shapes can also hook into the particle system:
+//   activate(ps) / deactivate(ps) - when the shape is selected / replaced
+//   update(ps, dt)                - every frame while selected
+const registry = new Map();
+
+export function registerShape(name, generator) {
+  const def = typeof generator === 'function' ? { generate: generator } : { ...generator };
+  if (typeof def.generate !== 'function') {
+    throw new Error(`Shape "${name}" needs a generate(ctx) function`);
+  }
+  def.name = name;
+  def.label = def.label || name.charAt(0).toUpperCase() + name.slice(1);
+  registry.set(name, def);
+  return def;
+}
+
+export function getShape(name) {
+  return registry.get(name) || null;
+}
+
+export function getShapeNames() {
+  return Array.from(registry.keys());
+}
+
+// Helper: Random point in unit sphere
+export function randomInSphere(random = Math.random) {
+  const u = random();
+  const v = random();
+  const theta = 2 * Math.PI * u;
+  const phi = Math.acos(2 * v - 1);
+  const r = Math.cbrt(random());
+  return new THREE.Vector3(
+    r * Math.sin(phi) * Math.cos(theta),
+    r * Math.sin(phi) * Math.sin(theta),
+    r * Math.cos(phi)
+  );
+}
+
+// Helper: write a THREE.Color (or anything with r/g/b) into slot i
+export function writeColor(colors, i, c) {
+  colors[i * 3] = c.r;
+  colors[i * 3 + 1] = c.g;
+  colors[i * 3 + 2] = c.b;
+}
+
+export function writePosition(positions, i, x, y, z) {
+  positions[i * 3] = x;
+  positions[i * 3 + 1] = y;
+  positions[i * 3 + 2] = z;
+}
+
+// Cache hex -> Color so generators don't allocate per particle
+const colorCache = new Map();
+function hexColor(hex) {
+  let c = colorCache.get(hex);
+  if (!c) {
+    c = new THREE.Color(hex);
+    colorCache.set(hex, c);
+  }
+  return c;
+}
+
+// --- Built-in shapes ---
+
+registerShape('heart', {
+  generate({ count, positions, colors, color, random }) {
+    // 3D Heart Volume
+    const p = new THREE.Vector3();
+    for (let i = 0; i < count; i++) {
+      writeColor(colors, i, color); // Default Pink/Red
+
+      while (true) {
+        p.set(
+          (random() - 0.5) * 3,
+          (random() - 0.5) * 3,
+          (random() - 0.5) * 3
+        );
+        const x = p.x; const y = p.y; const z = p.z;
+        const a = x*x + 9/4*y*y + z*z - 1;
+        if (a*a*a - x*x*z*z*z - 9/80*y*y*z*z*z < 0) break;
+      }
+      writePosition(positions, i, p.x * 10, p.y * 10, p.z * 10);
+    }
+  }
+});
+
+registerShape('star', {
+  generate({ count, positions, colors, color, random }) {
+    for (let i = 0; i < count; i++) {
+      writeColor(colors, i, color);
+      const dir = randomInSphere(random).normalize();
+      const theta = Math.atan2(dir.z, dir.x);
+      const phi = Math.acos(dir.y); // Y up
+      const rBase = 8;
+      const spike = Math.pow(Math.abs(Math.cos(2.5 * theta) * Math.sin(phi)), 4.0) * 15;
+      const r = rBase + spike + (random()*2);
+      writePosition(positions, i, dir.x * r, dir.y * r, dir.z * r);
+    }
+  }
+});
+
+registerShape('planet', {
+  color: '#800000', // Maroon Red
+  ambient: 'fireflies',
+  generate({ count, positions, colors, random }) {
+    // Planet: banded core + layered rings + moons
+    const tiltX = 0.4;
+    const tiltZ = 0.2;
+    const tmp = new THREE.Color();
+
+    // Tilt a point in the ring plane (X then Z axis) and store it
+    const writeTilted = (i, x, y, z, ox = 0, oy = 0, oz = 0) => {
+      const y1 = y * Math.cos(tiltX) - z * Math.sin(tiltX);
+      const z1 = y * Math.sin(tiltX) + z * Math.cos(tiltX);
+      const x2 = x * Math.cos(tiltZ) - y1 * Math.sin(tiltZ);
+      const y2 = x * Math.sin(tiltZ) + y1 * Math.cos(tiltZ);
+      writePosition(positions, i, x2 + ox, y2 + oy, z1 + oz);
+    };
+
+    const moonOffsets = [
+      {r: 20, a: 0.0},
+      {r: 27, a: 2.1},
+      {r: 16, a: 4.5},
+      {r: 22, a: 5.4}
+    ];
+
+    for (let i = 0; i < count; i++) {
+      const r = random();
+      if (r < 0.55) {
+        // Core planet with subtle latitude bands
+        const dir = randomInSphere(random).normalize();
+        const latitude = Math.asin(dir.y);
+        const band = Math.sin(latitude * 4.0 + random() * 0.4) * 0.5 + 0.5;
+        const coreRadius = 10.0 + random() * 0.8; // Keep radius consistent so planet stays round
+        writeColor(colors, i, tmp.setHSL(0.04 + band * 0.025, 0.7, 0.28 + band * 0.25));
+        writePosition(positions, i, dir.x * coreRadius, dir.y * coreRadius, dir.z * coreRadius);
+      } else if (r < 0.78) {
+        // Main metallic ring
+        const angle = random() * Math.PI * 2;
+        const dist = 14 + random() * 10;
+        const height = (random() - 0.5) * 0.6; // Thin ring
+
+        const goldMix = 0.6 + random() * 0.3;
+        writeColor(colors, i, tmp.copy(hexColor('#c9a34a')).lerp(hexColor('#f3d38c'), goldMix));
+        writeTilted(i, dist * Math.cos(angle), height, dist * Math.sin(angle));
+      } else if (r < 0.92) {
+        // Dusty arcs and secondary debris rings
+        const angle = random() * Math.PI * 2;
+        const isVerticalArc = random() < 0.35;
+        const dist = isVerticalArc ? (18 + random() * 6) : (24 + random() * 6);
+        const height = isVerticalArc ? (random() - 0.5) * 8.0 : (random() - 0.5) * 2.5;
+
+        writeColor(colors, i, tmp.copy(hexColor('#d3b17d')).lerp(hexColor('#8c5c2b'), random() * 0.4));
+        // Warp for arc feel
+        writeTilted(i, dist * Math.cos(angle), height + Math.sin(angle * 2.0) * 0.4, dist * Math.sin(angle));
+      } else {
+        // Moons and glowing specks
+        const m = moonOffsets[Math.floor(random() * moonOffsets.length)];
+        const dir = randomInSphere(random);
+        const moonR = 1.8 + random() * 0.8;
+
+        writeColor(colors, i, tmp.copy(hexColor('#f0f8ff')).lerp(hexColor('#ffefd5'), random() * 0.4));
+        writeTilted(i, m.r * Math.cos(m.a), 0, m.r * Math.sin(m.a), dir.x * moonR, dir.y * moonR, dir.z * moonR);
+      }
+    }
+  }
+});
+
+registerShape('tree', {
+  color: '#0f5e2f', // Forest Green (Optional, user can override)
+  ambient: 'snow',
+  generate({ count, positions, colors, random }) {
+    const layers = 7; // Matches Christmas-tree config
+    const starCenter = new THREE.Vector3(0, 11, 0);
+    for (let i = 0; i < count; i++) {
+      const t = random();
+
+      // Trunk cluster
+      if (t < 0.08) {
+        writeColor(colors, i, hexColor('#4a2e16')); // Wood tone
+        const theta = random() * Math.PI * 2;
+        const r = 0.6 + random() * 0.8;
+        const y = -10 + random() * 4;
+        writePosition(positions, i, r * Math.cos(theta) * 0.8, y, r * Math.sin(theta) * 0.8);
+        continue;
+      }
+
+      // Star topper
+      if (t > 0.94) {
+        writeColor(colors, i, hexColor('#FFD700'));
+        const dir = randomInSphere(random).normalize();
+        const s = 1.0 + random() * 0.8;
+        writePosition(positions, i,
+          starCenter.x + dir.x * s,
+          starCenter.y + dir.y * s,
+          starCenter.z + dir.z * s
+        );
+        continue;
+      }
+
+      const y = (t * 20) - 10; // -10 to 10 height
+      const layerT = t * layers;
+      const layerProgress = layerT % 1;
+      const layerShape = Math.pow(1 - layerProgress, 0.8);
+      const maxR = 6.5; // Scaled to fit screen
+      const rBoundary = (1 - t) * maxR * (0.75 + 0.5 * layerShape);
+      const theta = random() * Math.PI * 2;
+      const wobble = Math.sin(theta * 3.0 + layerT) * 0.2;
+      const r = rBoundary * Math.sqrt(0.1 + 0.9 * random());
+      const edgeFactor = rBoundary > 0 ? (r / rBoundary) : 0.0;
+      const yPos = y + wobble;
+
+      // Garland wrap
+      if (random() < 0.12) {
+        writeColor(colors, i, hexColor('#FFD966'));
+        const turns = 4.5;
+        const angle = t * turns * 2 * Math.PI;
+        const garlandR = rBoundary * 0.85 + 0.3;
+        writePosition(positions, i, garlandR * Math.cos(angle), yPos, garlandR * Math.sin(angle));
+        continue;
+      }
+
+      // Ornaments and snowy tips
+      if (random() < (0.12 + edgeFactor * 0.25)) {
+        writeColor(colors, i, hexColor('#e6f6ff')); // Snow frosting
+      } else if (random() < 0.14) {
+        const ornamentType = random();
+        if (ornamentType < 0.33) writeColor(colors, i, hexColor('#FF0000')); // Red
+        else if (ornamentType < 0.66) writeColor(colors, i, hexColor('#FFD700')); // Gold
+        else writeColor(colors, i, hexColor('#1E90FF')); // Dodger Blue
+      } else {
+        writeColor(colors, i, hexColor('#0f5e2f')); // Forest Green
+      }
+
+      writePosition(positions, i, r * Math.cos(theta), yPos, r * Math.sin(theta));
+    }
+  }
+});
+
+registerShape('flower', {
+  ambient: 'petals',
+  generate({ count, positions, colors, color, random }) {
+    for (let i = 0; i < count; i++) {
+      writeColor(colors, i, color);
+
+      const theta = random() * Math.PI * 2;
+      const phi = Math.acos(2 * random() - 1);
+      const r = 10 + 5 * Math.sin(5 * theta) * Math.sin(phi);
+      const rFinal = r + (random() - 0.5) * 2;
+
+      writePosition(positions, i,
+        rFinal * Math.sin(phi) * Math.cos(theta),
+        rFinal * Math.sin(phi) * Math.sin(theta),
+        rFinal * Math.cos(phi)
+      );
+    }
+  }
+});
+
+// Fill ctx.count particles from the "inside" pixels of an ImageData-like
+// {width, height, data}. Used by shapes rasterized on a canvas (text, images).
+// Options:
+//   extent      - max width/height in scene units (shapes are ~±15)
+//   depth       - z thickness of the filled volume
+//   edgeRatio   - share of particles placed on the outline for crisp edges
+//   mask        - (r, g, b, a) => 0..1 coverage, defaults to alpha
+//   threshold   - coverage above which a pixel counts as inside
+//   relief      - optional (r, g, b, a) => 0..1 height; pushes z out of the
+//                 slab so the shape reads as a relief when rotated
+//   pixelColors - true: use pixel colors, 'auto': only for colorful pixels
+//                 (emoji), false: always ctx.color
+// Returns false if the mask was empty.
+export function sampleMask(image, { count, positions, colors, color, random = Math.random }, options = {}) {
+  const {
+    extent = 30,
+    depth = 3,
+    edgeRatio = 0.3,
+    mask = (r, g, b, a) => a / 255,
+    threshold = 0.5,
+    relief = null,
+    pixelColors = false
+  } = options;
+  const { width, height, data } = image;
+
+  const inside = new Uint8Array(width * height);
+  let insideCount = 0;
+  for (let p = 0; p < width * height; p++) {
+    const o = p * 4;
+    if (mask(data[o], data[o + 1], data[o + 2], data[o + 3]) > threshold) {
+      inside[p] = 1;
+      insideCount++;
+    }
+  }
+  if (insideCount === 0) return false;
+
+  // Split into fill and outline (inside pixels touching the outside)
+  const fill = new Int32Array(insideCount);
+  const edge = new Int32Array(insideCount);
+  let fillCount = 0;
+  let edgeCount = 0;
+  let minX = width, maxX = 0, minY = height, maxY = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      if (!inside[p]) continue;
+      fill[fillCount++] = p;
+      const isEdge = x === 0 || y === 0 || x === width - 1 || y === height - 1 ||
+        !inside[p - 1] || !inside[p + 1] || !inside[p - width] || !inside[p + width];
+      if (isEdge) edge[edgeCount++] = p;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+
+  // Center the bounding box and fit the longer side into extent
+  const cx = (minX + maxX + 1) / 2;
+  const cy = (minY + maxY + 1) / 2;
+  const scale = extent / Math.max(maxX - minX + 1, maxY - minY + 1);
+
+  const tmp = new THREE.Color();
+  for (let i = 0; i < count; i++) {
+    const onEdge = edgeCount > 0 && random() < edgeRatio;
+    const p = onEdge
+      ? edge[Math.floor(random() * edgeCount)]
+      : fill[Math.floor(random() * fillCount)];
+    const px = p % width;
+    const py = Math.floor(p / width);
+
+    const o = p * 4;
+    let z;
+    if (relief) {
+      // Height field with a little jitter so flat areas don't look like a sheet
+      z = (relief(data[o], data[o + 1], data[o + 2], data[o + 3]) - 0.5) * depth + (random() - 0.5) * 0.4;
+    } else {
+      // Outline particles stay near the front/back faces, fill spreads through the depth
+      z = onEdge
+        ? (random() < 0.5 ? -0.5 : 0.5) * depth + (random() - 0.5) * 0.3
+        : (random() - 0.5) * depth;
+    }
+    writePosition(positions, i,
+      (px + random() - cx) * scale,
+      -(py + random() - cy) * scale, // Canvas y is down
+      z
+    );
+
+    if (pixelColors) {
+      tmp.setRGB(data[o] / 255, data[o + 1] / 255, data[o + 2] / 255, THREE.SRGBColorSpace);
+      const colorful = Math.max(data[o], data[o + 1], data[o + 2]) - Math.min(data[o], data[o + 1], data[o + 2]) > 24;
+      writeColor(colors, i, pixelColors === 'auto' && !colorful ? color : tmp);
+    } else {
+      writeColor(colors, i, color);
+    }
+  }
+  return true;
+}
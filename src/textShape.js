@@ -0,0 +1,84 @@
+import { registerShape, sampleMask, randomInSphere, writeColor, writePosition } from './shapes.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('text');
+
+// Text shape: rasterize a string with a web font on an offscreen canvas and
+// fill the glyph pixels. The canvas handles CJK and emoji through the
+// browser's own font fallback, so no glyph tables are needed here.
+
+export const DEFAULT_TEXT = 'Xuan';
+export const DEFAULT_FONT = 'Mountains of Christmas';
+
+// System fallbacks for glyphs the display font doesn't cover
+const FALLBACK_FONTS = '"PingFang SC", "Hiragino Sans GB", "Microsoft YaHei", "Noto Sans CJK SC", "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif';
+const FONT_SIZE = 160;
+
+export function textFont(family = DEFAULT_FONT) {
+  return `700 ${FONT_SIZE}px "${family}", ${FALLBACK_FONTS}`;
+}
+
+function rasterizeText(text, family) {
+  const lines = text.split('\n');
+  const font = textFont(family);
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.font = font;
+  const lineHeight = FONT_SIZE * 1.3;
+  const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+
+  const pad = FONT_SIZE * 0.2;
+  canvas.width = Math.ceil(width + pad * 2);
+  canvas.height = Math.ceil(lineHeight * lines.length + pad * 2);
+
+  // Resizing resets the context state
+  ctx.font = font;
+  ctx.fillStyle = 'white';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  lines.forEach((line, i) => {
+    ctx.fillText(line, canvas.width / 2, pad + lineHeight * (i + 0.5));
+  });
+
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+registerShape('text', {
+  ambient: 'confetti',
+  // options: { text, font, depth }
+  // Rasterizing needs the page's fonts, so it happens on the main thread;
+  // sampling can then run in the shape worker.
+  prepare(options = {}) {
+    const { text = DEFAULT_TEXT, font = DEFAULT_FONT, depth = 3 } = options;
+    return { depth, image: rasterizeText(text.trim() || DEFAULT_TEXT, font) };
+  },
+  input: {
+    kind: 'text',
+    async options({ text, font }) {
+      // Wait for the web font, otherwise the fallback font gets sampled
+      try {
+        await document.fonts.load(textFont(font), text);
+      } catch (err) {
+        log.warn('Font failed to load, using fallback:', err);
+      }
+      return { text, font };
+    }
+  },
+  generate(ctx) {
+    const { image, depth = 3 } = ctx.options;
+
+    // Longer strings get a wider box so single words don't blow up
+    const extent = Math.min(40, 14 + image.width / image.height * 6);
+    const filled = sampleMask(image, ctx, { extent, depth, pixelColors: 'auto' });
+
+    if (!filled) {
+      // Nothing rendered (e.g. whitespace only) - collapse into a small ball
+      for (let i = 0; i < ctx.count; i++) {
+        const p = randomInSphere(ctx.random).multiplyScalar(2);
+        writePosition(ctx.positions, i, p.x, p.y, p.z);
+        writeColor(ctx.colors, i, ctx.color);
+      }
+    }
+  }
+});
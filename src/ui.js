@@ -1,18 +1,93 @@
 import { photoDatabase } from './database.js';
+import { ParticleSystem } from './particleSystem.js';
+import { loadModel, isModelFile, isModelCompanionFile } from './modelShape.js';
+import { QUALITY_TIERS } from './quality.js';
+import { COLOR_MODES, COLOR_PALETTES } from './colorModes.js';
+import { GESTURES } from './gestures.js';
+import { checkSession } from './sessionRecorder.js';
+import { CALIBRATION_STEPS, loadCalibration, saveCalibration, clearCalibration, applyCalibration } from './calibration.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('ui');
+
+const isAcceptedFile = (f) => f.type.startsWith('image/') || isModelFile(f) || isModelCompanionFile(f);
 
 export class UI {
-  constructor(particleSystem) {
+  constructor(particleSystem, { sequencer = null, quality = null, gestures = null, recorder = null, player = null,
+    calibration = null, handTracker = null } = {}) {
     this.particleSystem = particleSystem;
-    this.shapeButtons = document.querySelectorAll('[data-shape]');
+    this.sequencer = sequencer;
+    this.quality = quality;
+    this.gestures = gestures;
+    this.recorder = recorder;
+    this.player = player;
+    this.calibration = calibration;
+    this.handTracker = handTracker;
+    this.shapeContainer = document.getElementById('shape-buttons');
+    this.shapeButtons = [];
+    this.textInput = document.getElementById('shape-text');
+    this.fontSelect = document.getElementById('shape-font');
+    this.seedLink = document.getElementById('seed-link');
     this.colorPicker = document.getElementById('color-picker');
+    this.colorModeSelect = document.getElementById('color-mode');
+    this.colorStops = Array.from(document.querySelectorAll('.color-stop'));
+    this.stopCountSelect = document.getElementById('color-stop-count');
+    this.axisSelect = document.getElementById('gradient-axis');
+    this.paletteSelect = document.getElementById('color-palette');
+    this.colorOptions = document.querySelectorAll('[data-color-modes]');
+    this.ambientContainer = document.getElementById('ambient-buttons');
+    this.ambientButtons = [];
     this.fullscreenBtn = document.getElementById('fullscreen-btn');
     this.dropZone = document.getElementById('drop-zone');
     this.dropOverlay = document.getElementById('drop-overlay');
     this.fileInput = document.getElementById('file-input');
     this.photoCount = document.getElementById('photo-count');
+    this.dropModeButtons = document.querySelectorAll('[data-drop-mode]');
+    this.motionButtons = document.querySelectorAll('[data-motion]');
+    this.reliefControl = document.getElementById('relief-control');
+    this.reliefInput = document.getElementById('relief-depth');
+    this.maskModeSelect = document.getElementById('mask-mode');
+    this.showPlayBtn = document.getElementById('show-play');
+    this.showSkipBtn = document.getElementById('show-skip');
+    this.showStatus = document.getElementById('show-status');
+    this.sessionRecordBtn = document.getElementById('session-record');
+    this.sessionReplayBtn = document.getElementById('session-replay');
+    this.sessionSpeed = document.getElementById('session-speed');
+    this.sessionFile = document.getElementById('session-file');
+    this.sessionStatus = document.getElementById('session-status');
+    this.qualityButtons = document.querySelectorAll('[data-quality]');
+    this.qualityStatus = document.getElementById('quality-status');
+    this.effectToggles = document.querySelectorAll('[data-effect]');
+    this.effectSliders = document.querySelectorAll('[data-effect-strength]');
+    this.effectsStatus = document.getElementById('effects-status');
+    this.gestureBindings = document.getElementById('gesture-bindings');
+    this.gestureStatus = document.getElementById('gesture-status');
+    this.calibrateBtn = document.getElementById('calibrate-btn');
+    this.calibrateResetBtn = document.getElementById('calibrate-reset');
+    this.calibrationStatus = document.getElementById('calibration-status');
+    this.calibrationCard = document.getElementById('calibration');
+    this.calibrationStep = document.getElementById('calibration-step');
+    this.calibrationPrompt = document.getElementById('calibration-prompt');
+    this.calibrationBar = document.getElementById('calibration-bar');
+    this.calibrationHint = document.getElementById('calibration-hint');
+    this.calibrationRetryBtn = document.getElementById('calibration-retry');
+    this.calibrationCloseBtn = document.getElementById('calibration-close');
+    this.shownGesture = null;
     this.dbConnected = false;
+    this.dropMode = 'photos'; // 'photos' | 'shape'
+    // Last file of each kind used for a shape (see `input` in shapes.js)
+    this.shapeFiles = { image: null, model: null };
     
+    this.buildShapeButtons();
     this.initListeners();
+    this.initColorControls();
+    this.initAmbientControls();
+    this.initShowControls();
+    this.initSessionControls();
+    this.initQualityControls();
+    this.initEffectControls();
+    this.initGestureControls();
+    this.initCalibrationControls();
     this.initDragDrop();
     this.initDatabase();
   }
@@ -24,7 +99,7 @@ export class UI {
       this.showToast('☁️ Connected to photo database', 'success');
       await this.loadPhotosFromDatabase();
     } else {
-      console.log('Running without database - photos stored in memory only');
+      log.info('Running without database - photos stored in memory only');
     }
   }
 
@@ -51,18 +126,186 @@ export class UI {
     }
   }
 
-  initListeners() {
-    this.shapeButtons.forEach(btn => {
+  // One button per registered shape, so new shapes only need registerShape()
+  buildShapeButtons() {
+    this.shapeContainer.innerHTML = '';
+    this.shapeButtons = ParticleSystem.getShapes().map(def => {
+      const btn = document.createElement('button');
+      btn.dataset.shape = def.name;
+      btn.textContent = def.label;
+      if (def.name === this.particleSystem.currentShape) {
+        btn.classList.add('active');
+      }
+
       btn.addEventListener('click', (e) => {
         e.stopPropagation(); // Stop click from propagating to canvas
-        const shape = e.target.getAttribute('data-shape');
-        this.particleSystem.setShape(shape);
-        
-        // Update active state
-        this.shapeButtons.forEach(b => b.classList.remove('active'));
-        e.target.classList.add('active');
+        this.selectShape(def.name);
       });
+
+      this.shapeContainer.appendChild(btn);
+      return btn;
     });
+  }
+
+  selectShape(shape) {
+    // Picking a shape by hand ends the show
+    if (this.sequencer && this.sequencer.playing) {
+      this.sequencer.stop();
+    }
+    const def = ParticleSystem.getShape(shape);
+    if (def && def.input) return this.applyInputShape(shape);
+    return this.applyShape(shape);
+  }
+
+  // Next/previous shape in registry order. Shapes built from user input are
+  // skipped until there's something to build them from.
+  cycleShape(step = 1) {
+    const names = ParticleSystem.getShapes().filter(def => this.inputAvailable(def)).map(def => def.name);
+    const index = names.indexOf(this.particleSystem.currentShape);
+    this.selectShape(names[(index + step + names.length) % names.length]);
+  }
+
+  inputAvailable(def) {
+    return !def.input || def.input.kind !== 'file' || this.shapeFiles[def.input.accept] !== null;
+  }
+
+  // What the shape's input asked for, read from the controls
+  inputValue(def) {
+    if (def.input.kind === 'text') {
+      return { text: this.textInput.value, font: this.fontSelect.value };
+    }
+    return {
+      file: this.shapeFiles[def.input.accept],
+      relief: parseFloat(this.reliefInput.value),
+      mask: this.maskModeSelect.value
+    };
+  }
+
+  // Ask for the file a shape needs (text always has the text box)
+  requestInput(def) {
+    if (def.input.accept === 'image') this.setDropMode('shape');
+    this.fileInput.click();
+  }
+
+  async applyShape(shape, options) {
+    try {
+      if (!(await this.particleSystem.setShape(shape, options))) {
+        return false; // Another shape was picked meanwhile
+      }
+    } catch (err) {
+      log.error(`Failed to build ${shape} shape:`, err);
+      this.showToast(`⚠️ ${err.message}`);
+      return false;
+    }
+    this.syncShapeUI();
+    return true;
+  }
+
+  // Builds a shape from what the user provided (see `input` in shapes.js),
+  // or asks for it if there's nothing yet
+  async applyInputShape(shape) {
+    const def = ParticleSystem.getShape(shape);
+    if (!this.inputAvailable(def)) {
+      this.requestInput(def);
+      return false;
+    }
+    return this.applyShape(shape, await def.input.options(this.inputValue(def)));
+  }
+
+  // Rebuilds the current shape after one of the input controls changed
+  refreshInputShape() {
+    const def = ParticleSystem.getShape(this.particleSystem.currentShape);
+    if (def && def.input && this.inputAvailable(def)) this.applyInputShape(def.name);
+  }
+
+  // 'analytic' (shader-only motion) or 'physics' (GPU simulation)
+  setMotion(mode) {
+    if (!this.particleSystem.setSimulation(mode === 'physics')) {
+      this.showToast('⚠️ Physics mode is not supported on this device');
+    }
+    this.syncMotionUI();
+  }
+
+  syncMotionUI() {
+    const mode = this.particleSystem.simulationEnabled ? 'physics' : 'analytic';
+    this.motionButtons.forEach(b => {
+      b.classList.toggle('active', b.dataset.motion === mode);
+    });
+  }
+
+  setDropMode(mode) {
+    this.dropMode = mode;
+    this.dropModeButtons.forEach(b => {
+      b.classList.toggle('active', b.dataset.dropMode === mode);
+    });
+    this.reliefControl.classList.toggle('active', mode === 'shape');
+  }
+
+  syncShapeUI() {
+    // Update active state
+    this.shapeButtons.forEach(b => {
+      b.classList.toggle('active', b.dataset.shape === this.particleSystem.currentShape);
+    });
+    // Reflect shape theme colors in the picker
+    this.colorPicker.value = `#${this.particleSystem.color.getHexString()}`;
+  }
+
+  initListeners() {
+    // Typing rebuilds the text shape (debounced - sampling 90k particles isn't free)
+    let textTimer = null;
+    this.textInput.addEventListener('click', (e) => e.stopPropagation());
+    this.textInput.addEventListener('input', () => {
+      clearTimeout(textTimer);
+      textTimer = setTimeout(() => this.applyInputShape('text'), 400);
+    });
+    this.textInput.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        clearTimeout(textTimer);
+        this.applyInputShape('text');
+      }
+    });
+    this.fontSelect.addEventListener('click', (e) => e.stopPropagation());
+    this.fontSelect.addEventListener('change', () => this.applyInputShape('text'));
+
+    // Share the seed so a good-looking layout can be recreated
+    this.seedLink.textContent = `Seed: ${this.particleSystem.seed} 🔗`;
+    this.seedLink.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const url = new URL(window.location.href);
+      url.searchParams.set('seed', this.particleSystem.seed);
+      try {
+        await navigator.clipboard.writeText(url.toString());
+        this.showToast('🔗 Link with this seed copied!', 'success');
+      } catch (err) {
+        log.warn('Clipboard unavailable:', err);
+        this.showToast(`Seed: ${this.particleSystem.seed}`);
+      }
+    });
+
+    this.dropModeButtons.forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.setDropMode(btn.dataset.dropMode);
+      });
+    });
+
+    this.motionButtons.forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.setMotion(btn.dataset.motion);
+      });
+    });
+    this.syncMotionUI();
+
+    let reliefTimer = null;
+    this.reliefInput.addEventListener('click', (e) => e.stopPropagation());
+    this.reliefInput.addEventListener('input', () => {
+      clearTimeout(reliefTimer);
+      reliefTimer = setTimeout(() => this.refreshInputShape(), 150);
+    });
+    this.maskModeSelect.addEventListener('click', (e) => e.stopPropagation());
+    this.maskModeSelect.addEventListener('change', () => this.refreshInputShape());
 
     this.colorPicker.addEventListener('click', (e) => e.stopPropagation());
     this.colorPicker.addEventListener('input', (e) => {
@@ -81,6 +324,369 @@ export class UI {
     });
   }
 
+  initColorControls() {
+    Object.entries(COLOR_MODES).forEach(([name, mode]) => {
+      this.colorModeSelect.add(new Option(mode.label, name));
+    });
+    Object.keys(COLOR_PALETTES).forEach(name => {
+      this.paletteSelect.add(new Option(name.charAt(0).toUpperCase() + name.slice(1), name));
+    });
+
+    // Start from the particle system's settings
+    const settings = this.particleSystem.colorMode;
+    settings.stops.forEach((c, i) => {
+      if (this.colorStops[i]) this.colorStops[i].value = c;
+    });
+    this.stopCountSelect.value = String(settings.stops.length);
+    this.axisSelect.value = settings.axis;
+    if (typeof settings.palette === 'string') this.paletteSelect.value = settings.palette;
+
+    [this.colorModeSelect, this.stopCountSelect, this.axisSelect, this.paletteSelect, ...this.colorStops].forEach(el => {
+      el.addEventListener('click', (e) => e.stopPropagation());
+      el.addEventListener(el.type === 'color' ? 'input' : 'change', () => this.applyColorMode());
+    });
+    this.syncColorUI();
+  }
+
+  applyColorMode() {
+    const stopCount = parseInt(this.stopCountSelect.value, 10);
+    this.particleSystem.setColorMode(this.colorModeSelect.value, {
+      stops: this.colorStops.slice(0, stopCount).map(input => input.value),
+      axis: this.axisSelect.value,
+      palette: this.paletteSelect.value
+    });
+    this.syncColorUI();
+  }
+
+  cycleColorMode() {
+    const modes = Object.keys(COLOR_MODES);
+    const index = modes.indexOf(this.particleSystem.colorMode.mode);
+    this.colorModeSelect.value = modes[(index + 1) % modes.length];
+    this.applyColorMode();
+  }
+
+  syncColorUI() {
+    const mode = this.particleSystem.colorMode.mode;
+    this.colorModeSelect.value = mode;
+    this.colorOptions.forEach(el => {
+      el.hidden = !el.dataset.colorModes.split(' ').includes(mode);
+    });
+    this.colorStops[2].hidden = this.stopCountSelect.value !== '3';
+  }
+
+  // Auto follows the shape's default; presets toggle on/off and combine
+  initAmbientControls() {
+    const presets = [{ name: 'auto', label: 'Auto' }, ...ParticleSystem.getAmbientPresets()];
+    this.ambientContainer.innerHTML = '';
+    this.ambientButtons = presets.map(preset => {
+      const btn = document.createElement('button');
+      btn.dataset.ambient = preset.name;
+      btn.textContent = preset.label;
+      if (preset.name === 'auto') btn.title = "Use the shape's own effect";
+
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (preset.name === 'auto') {
+          this.particleSystem.setAmbient('auto');
+        } else {
+          this.particleSystem.ambient.toggle(preset.name);
+        }
+      });
+
+      this.ambientContainer.appendChild(btn);
+      return btn;
+    });
+
+    this.particleSystem.ambient.onChange = () => this.syncAmbientUI();
+    this.syncAmbientUI();
+  }
+
+  syncAmbientUI() {
+    const { active, auto } = this.particleSystem.ambient;
+    this.ambientButtons.forEach(b => {
+      const name = b.dataset.ambient;
+      b.classList.toggle('active', name === 'auto' ? auto : active.has(name));
+    });
+  }
+
+  initShowControls() {
+    if (!this.sequencer) return;
+
+    this.showPlayBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.sequencer.togglePause();
+    });
+    this.showSkipBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (!this.sequencer.playing) this.sequencer.play();
+      this.sequencer.next();
+    });
+
+    this.sequencer.onChange = () => this.syncShowUI();
+    this.syncShowUI();
+  }
+
+  syncShowUI() {
+    const seq = this.sequencer;
+    const running = seq.playing && !seq.paused;
+    this.showPlayBtn.textContent = running ? '⏸ Pause' : '▶ Play';
+    this.showPlayBtn.classList.toggle('active', running);
+
+    const step = seq.currentStep;
+    if (!seq.playing || !step) {
+      this.showStatus.textContent = `${seq.steps.length} steps`;
+    } else if (seq.paused) {
+      this.showStatus.textContent = 'Paused - your hand is in control';
+    } else {
+      this.showStatus.textContent = `Step ${seq.index + 1}/${seq.steps.length}: ${step.shape}`;
+    }
+    this.syncShapeUI();
+  }
+
+  // Record hand tracking to a JSON file and replay one (see sessionRecorder.js)
+  initSessionControls() {
+    if (!this.recorder || !this.player) return;
+
+    this.sessionRecordBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (!this.recorder.recording) {
+        this.recorder.start();
+        return;
+      }
+      const session = this.recorder.stop();
+      if (session.frames.length === 0) {
+        this.showToast('⚠️ Nothing recorded - no camera frames came in');
+        return;
+      }
+      const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `hand-session-${session.recordedAt.replace(/[:.]/g, '-')}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      this.showToast(`💾 Saved ${session.frames.length} frames`, 'success');
+    });
+
+    this.sessionReplayBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this.player.playing) this.player.stop();
+      else this.sessionFile.click();
+    });
+    this.sessionSpeed.addEventListener('click', (e) => e.stopPropagation());
+    this.sessionFile.addEventListener('change', async () => {
+      const file = this.sessionFile.files[0];
+      this.sessionFile.value = '';
+      if (!file) return;
+      try {
+        const session = checkSession(JSON.parse(await file.text()));
+        this.player.play(session, { speed: Number(this.sessionSpeed.value) });
+      } catch (err) {
+        log.error('Failed to replay session:', err);
+        this.showToast(`⚠️ ${err.message}`);
+      }
+    });
+
+    this.recorder.onChange = () => this.syncSessionUI();
+    this.player.onChange = () => this.syncSessionUI();
+    this.syncSessionUI();
+  }
+
+  syncSessionUI() {
+    const recording = this.recorder.recording;
+    const playing = this.player.playing;
+    this.sessionRecordBtn.textContent = recording ? '⏹ Save' : '⏺ Record';
+    this.sessionRecordBtn.classList.toggle('active', recording);
+    this.sessionReplayBtn.textContent = playing ? '⏹ Stop' : '📂 Replay';
+    this.sessionReplayBtn.classList.toggle('active', playing);
+    if (recording) this.sessionStatus.textContent = 'Recording...';
+    else if (playing) this.sessionStatus.textContent = `Replaying at ${this.player.speed}×`;
+    else this.sessionStatus.textContent = '';
+  }
+
+  initQualityControls() {
+    if (!this.quality) return;
+
+    this.qualityButtons.forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.quality.setMode(btn.dataset.quality);
+      });
+    });
+
+    this.quality.onChange = () => {
+      this.syncQualityUI();
+      this.syncEffectsUI();
+    };
+    this.syncQualityUI();
+  }
+
+  syncQualityUI() {
+    const { mode, tier } = this.quality;
+    this.qualityButtons.forEach(b => {
+      b.classList.toggle('active', b.dataset.quality === mode);
+    });
+    const label = QUALITY_TIERS[tier].label;
+    this.qualityStatus.textContent = mode === 'auto' ? `Auto: ${label}` : `${label} (fixed)`;
+  }
+
+  initEffectControls() {
+    const settings = this.particleSystem.effects.settings;
+    this.effectToggles.forEach(input => {
+      input.checked = settings[input.dataset.effect].enabled;
+      input.closest('label').addEventListener('click', (e) => e.stopPropagation());
+      input.addEventListener('change', () => {
+        this.particleSystem.setEffects({ [input.dataset.effect]: { enabled: input.checked } });
+        this.syncEffectsUI();
+      });
+    });
+    this.effectSliders.forEach(input => {
+      input.value = settings[input.dataset.effectStrength].strength;
+      input.addEventListener('click', (e) => e.stopPropagation());
+      input.addEventListener('input', () => {
+        this.particleSystem.setEffects({ [input.dataset.effectStrength]: { strength: parseFloat(input.value) } });
+      });
+    });
+    this.syncEffectsUI();
+  }
+
+  syncEffectsUI() {
+    const effects = this.particleSystem.effects;
+    this.effectSliders.forEach(input => {
+      input.disabled = !effects.allowed || !effects.settings[input.dataset.effectStrength].enabled;
+    });
+    this.effectsStatus.textContent = effects.allowed ? '' : 'Off on low quality';
+  }
+
+  // Actions gestures can trigger, and a picker per gesture to rebind them
+  initGestureControls() {
+    if (!this.gestures) return;
+
+    const ps = this.particleSystem;
+    const actions = {
+      nextShape: { label: 'Next shape', run: () => this.cycleShape(1) },
+      prevShape: { label: 'Previous shape', run: () => this.cycleShape(-1) },
+      nextPhoto: { label: 'Next photo', run: () => ps.showNextPhoto() },
+      shufflePhotos: { label: 'Shuffle photos', run: () => ps.shufflePhotos() },
+      cycleColor: { label: 'Cycle colors', run: () => this.cycleColorMode() },
+      fireworks: {
+        label: 'Fireworks',
+        run: () => {
+          if (ps.currentShape === 'fireworks') ps.launchFirework();
+          else this.selectShape('fireworks');
+        }
+      },
+      heartShape: { label: 'Heart', run: () => this.selectShape('heart') }
+    };
+    Object.entries(actions).forEach(([name, action]) => this.gestures.registerAction(name, action));
+
+    this.gestureBindings.innerHTML = '';
+    Object.entries(GESTURES).forEach(([gesture, { label }]) => {
+      const row = document.createElement('div');
+      row.className = 'gesture-row';
+      const name = document.createElement('span');
+      name.textContent = label;
+      const select = document.createElement('select');
+      select.className = 'color-select';
+      select.add(new Option('-', ''));
+      Object.entries(this.gestures.actions).forEach(([action, { label: actionLabel }]) => {
+        select.add(new Option(actionLabel, action));
+      });
+      select.value = this.gestures.bindings[gesture] || '';
+      select.addEventListener('click', (e) => e.stopPropagation());
+      select.addEventListener('change', () => this.gestures.setBinding(gesture, select.value || null));
+      row.append(name, select);
+      this.gestureBindings.appendChild(row);
+    });
+
+    this.gestures.onAction = (action) => {
+      this.showToast(`✋ ${this.gestures.actions[action].label}`, 'success');
+    };
+    this.setGesture(null);
+  }
+
+  // Current gesture readout; called every frame with the tracker's gesture
+  setGesture(gesture) {
+    const name = gesture ? gesture.name : 'none';
+    if (name === this.shownGesture) return;
+    this.shownGesture = name;
+    this.gestureStatus.textContent = GESTURES[name] ? `Seeing: ${GESTURES[name].label}` : 'No gesture';
+  }
+
+  // Guided hand calibration (see calibration.js), stored per device
+  initCalibrationControls() {
+    if (!this.calibration || !this.handTracker) return;
+    const apply = (profile) => applyCalibration(profile, {
+      tracker: this.handTracker,
+      particleSystem: this.particleSystem
+    });
+
+    const stored = loadCalibration();
+    if (stored) apply(stored);
+    this.syncCalibrationStatus(stored);
+
+    this.calibrationCard.addEventListener('click', (e) => e.stopPropagation());
+    this.calibrateBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.calibration.start();
+    });
+    this.calibrationRetryBtn.addEventListener('click', () => this.calibration.start());
+    this.calibrationCloseBtn.addEventListener('click', () => {
+      this.calibration.cancel();
+      this.calibrationCard.classList.remove('active');
+    });
+    this.calibrateResetBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      clearCalibration();
+      apply(null);
+      this.syncCalibrationStatus(null);
+      this.showToast('🎯 Back to the default hand settings');
+    });
+
+    this.calibration.onChange = (calibration) => {
+      if (calibration.profile) {
+        saveCalibration(calibration.profile);
+        apply(calibration.profile);
+        this.syncCalibrationStatus(calibration.profile);
+      }
+      this.syncCalibrationUI();
+    };
+  }
+
+  syncCalibrationUI() {
+    const { active, step, profile, error } = this.calibration;
+    const total = CALIBRATION_STEPS.length;
+    this.calibrateBtn.classList.toggle('active', active);
+    this.calibrationRetryBtn.style.display = error ? '' : 'none';
+    this.calibrationCloseBtn.textContent = active ? 'Cancel' : 'Close';
+
+    if (active) {
+      this.calibrationCard.classList.add('active');
+      this.calibrationStep.textContent = `Step ${this.calibration.stepIndex + 1} of ${total}`;
+      this.calibrationPrompt.textContent = step.prompt;
+      this.calibrationBar.style.width = `${Math.round(this.calibration.progress * 100)}%`;
+      if (!this.calibration.handVisible) this.calibrationHint.textContent = 'Show your hand to the camera';
+      else this.calibrationHint.textContent = this.calibration.measuring ? 'Hold still...' : 'Get ready...';
+    } else if (error) {
+      this.calibrationStep.textContent = 'Calibration failed';
+      this.calibrationPrompt.textContent = '😕';
+      this.calibrationBar.style.width = '0';
+      this.calibrationHint.textContent = error;
+    } else if (profile) {
+      this.calibrationStep.textContent = 'All done';
+      this.calibrationPrompt.textContent = '✨ Calibrated!';
+      this.calibrationBar.style.width = '100%';
+      this.calibrationHint.textContent = 'Saved on this device.';
+    } else {
+      this.calibrationCard.classList.remove('active');
+    }
+  }
+
+  syncCalibrationStatus(profile) {
+    this.calibrationStatus.textContent = profile
+      ? `Calibrated ${new Date(profile.date).toLocaleDateString()}`
+      : 'Default hand settings';
+  }
+
   initDragDrop() {
     // Drop zone click to open file picker
     this.dropZone.addEventListener('click', (e) => {
@@ -113,7 +719,7 @@ export class UI {
       e.stopPropagation();
       this.dropZone.classList.remove('dragover');
       
-      const files = Array.from(e.dataTransfer.files).filter(f => f.type.startsWith('image/'));
+      const files = Array.from(e.dataTransfer.files).filter(isAcceptedFile);
       if (files.length > 0) {
         this.handleFiles(files);
       }
@@ -147,7 +753,7 @@ export class UI {
       dragCounter = 0;
       this.dropOverlay.classList.remove('active');
       
-      const files = Array.from(e.dataTransfer.files).filter(f => f.type.startsWith('image/'));
+      const files = Array.from(e.dataTransfer.files).filter(isAcceptedFile);
       if (files.length > 0) {
         this.handleFiles(files);
       }
@@ -155,7 +761,21 @@ export class UI {
   }
 
   handleFiles(files) {
-    console.log(`Processing ${files.length} image(s)...`);
+    // 3D models (plus any glTF side files dropped with them) always become the shape
+    if (files.some(isModelFile)) {
+      this.useModelAsShape(files);
+      return;
+    }
+
+    files = files.filter(f => f.type.startsWith('image/'));
+    if (files.length === 0) return;
+
+    if (this.dropMode === 'shape') {
+      this.useImageAsShape(files[0]);
+      return;
+    }
+
+    log.info(`Processing ${files.length} image(s)...`);
     
     let loadedCount = 0;
     const totalFiles = files.length;
@@ -194,6 +814,35 @@ export class UI {
     });
   }
 
+  useImageAsShape(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const img = new Image();
+      img.onload = async () => {
+        this.shapeFiles.image = img;
+        if (await this.applyInputShape('image')) {
+          this.showToast('🖼️ Image turned into a shape!', 'success');
+        }
+      };
+      img.src = e.target.result;
+    };
+    reader.readAsDataURL(file);
+  }
+
+  async useModelAsShape(files) {
+    this.showToast('🧸 Loading model...');
+    try {
+      this.shapeFiles.model = await loadModel(files);
+    } catch (err) {
+      log.error('Failed to load model:', err);
+      this.showToast(`⚠️ Could not load model: ${err.message}`);
+      return;
+    }
+    if (await this.applyInputShape('model')) {
+      this.showToast(`🧸 ${this.shapeFiles.model.name} loaded as shape!`, 'success');
+    }
+  }
+
   showToast(message, type = '') {
     // Remove existing toast
     const existingToast = document.querySelector('.toast');
@@ -0,0 +1,44 @@
+import { defineConfig } from 'vite';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// MediaPipe Hands loads its wasm, model and data files at runtime (through
+// locateFile in handTracking.js). Serve them from node_modules in dev and
+// copy them into the build, so the app works without a network.
+const MEDIAPIPE_DIR = 'node_modules/@mediapipe/hands';
+const MEDIAPIPE_PATH = 'mediapipe/hands/';
+const MEDIAPIPE_FILES = /\.(wasm|data|tflite|binarypb)$|_(loader|bin)\.js$/;
+
+const CONTENT_TYPES = {
+  '.wasm': 'application/wasm',
+  '.js': 'text/javascript'
+};
+
+function mediapipeAssets() {
+  const files = () => fs.readdirSync(MEDIAPIPE_DIR).filter(file => MEDIAPIPE_FILES.test(file));
+
+  return {
+    name: 'mediapipe-assets',
+    configureServer(server) {
+      server.middlewares.use(`/${MEDIAPIPE_PATH}`, (req, res, next) => {
+        const file = decodeURIComponent(req.url.split('?')[0].slice(1));
+        if (!files().includes(file)) return next();
+        res.setHeader('Content-Type', CONTENT_TYPES[path.extname(file)] || 'application/octet-stream');
+        fs.createReadStream(path.join(MEDIAPIPE_DIR, file)).pipe(res);
+      });
+    },
+    generateBundle() {
+      files().forEach(file => {
+        this.emitFile({
+          type: 'asset',
+          fileName: MEDIAPIPE_PATH + file,
+          source: fs.readFileSync(path.join(MEDIAPIPE_DIR, file))
+        });
+      });
+    }
+  };
+}
+
+export default defineConfig({
+  plugins: [mediapipeAssets()]
+});